@@ -38,6 +38,8 @@ Afkty.ErrorCodes = {
     HUB_SUSPENDED = "HUB_SUSPENDED",
     INVALID_USER_TOKEN = "INVALID_USER_TOKEN",
     USER_SUSPENDED = "USER_SUSPENDED",
+    INVALID_RESUME_TOKEN = "INVALID_RESUME_TOKEN",
+    UNSUPPORTED_PROTOCOL = "UNSUPPORTED_PROTOCOL",
     
     -- Connection errors
     WEBSOCKET_NOT_SUPPORTED = "WEBSOCKET_NOT_SUPPORTED",
@@ -63,6 +65,8 @@ local _state = {
     connected = false,
     authenticated = false,
     sessionId = nil,
+    resumeToken = nil,
+    capabilities = {},
     hubName = nil,
     username = nil,
     reconnectAttempts = 0,
@@ -70,6 +74,8 @@ local _state = {
     messageQueue = {},
     lastStatus = nil,
     lastStatusTime = 0,
+    plan = nil,             -- { endsAt = unix ms } sent to the server
+    restartRetryAfter = nil, -- Seconds to wait before reconnecting after server_restarting
     isShuttingDown = false
 }
 
@@ -78,6 +84,8 @@ local SERVER_URL = "wss://afkty.toastyhub.fun/ws"
 
 local STATUS_COOLDOWN = 5
 
+local PROTOCOL_VERSION = 3
+
 -- ============================================================================
 -- CONFIGURATION
 -- ============================================================================
@@ -92,7 +100,10 @@ local _config = {
     reconnectDelay = 3,              -- Initial delay in seconds
     maxReconnectDelay = 60,          -- Max delay between retries
     maxReconnectAttempts = 20,       -- 0 = infinite
-    heartbeatInterval = 10,          -- Seconds between heartbeats
+    heartbeatInterval = 10,          -- Seconds between heartbeats (server may adjust)
+    heartbeatTimeout = nil,          -- Seconds of silence before alerting (nil = your account default)
+    stallTimeout = nil,              -- Seconds without a status change before a "stalled" alert (nil = account default, 0 = off)
+    group = nil,                     -- Session group name set up in the app (alerts when enough of the group is down)
     connectionTimeout = 15,          -- Seconds to wait for auth
     
     -- Features
@@ -217,6 +228,38 @@ local function getGameInfo()
     }
 end
 
+-- Turn { hours = 4 }, { minutes = 30 } or { endsAt = "06:00" } (local time) into { endsAt = unix ms }
+local function resolvePlan(plan)
+    if type(plan) ~= "table" then
+        return nil
+    end
+    
+    local now = DateTime.now()
+    
+    if plan.hours or plan.minutes then
+        local seconds = (plan.hours or 0) * 3600 + (plan.minutes or 0) * 60
+        return { endsAt = now.UnixTimestampMillis + math.floor(seconds * 1000) }
+    end
+    
+    if type(plan.endsAt) == "string" then
+        local hour, minute = plan.endsAt:match("^(%d%d?):(%d%d)$")
+        if not hour then
+            return nil
+        end
+        
+        local today = now:ToLocalTime()
+        local endsAt = DateTime.fromLocalTime(today.Year, today.Month, today.Day, tonumber(hour), tonumber(minute), 0).UnixTimestampMillis
+        
+        -- "06:00" at 23:00 means tomorrow morning
+        if endsAt <= now.UnixTimestampMillis then
+            endsAt = endsAt + 86400000
+        end
+        return { endsAt = endsAt }
+    end
+    
+    return nil
+end
+
 local function encode(data)
     local ok, result = pcall(HttpService.JSONEncode, HttpService, data)
     return ok and result or nil
@@ -277,6 +320,15 @@ local function flushLogBatch()
     _logBatch.messages = {}
     _logBatch.timer = nil
     
+    -- Servers before protocol v3 only understand single log frames
+    if _state.capabilities.log_batch then
+        send({
+            type = "log_batch",
+            logs = messages
+        })
+        return
+    end
+    
     for _, logMsg in ipairs(messages) do
         send({
             type = "log",
@@ -286,6 +338,32 @@ local function flushLogBatch()
     end
 end
 
+local function sendConnect()
+    -- Re-attach to the previous session after a quick reconnect
+    if _state.resumeToken then
+        send({
+            type = "resume",
+            resumeToken = _state.resumeToken,
+            protocolVersion = PROTOCOL_VERSION
+        })
+        return
+    end
+    
+    -- Authenticate with hub key + user token
+    send({
+        type = "connect",
+        hubKey = _config.hubKey,
+        userToken = _config.userToken,
+        gameInfo = getGameInfo(),
+        protocolVersion = PROTOCOL_VERSION,
+        heartbeatInterval = _config.heartbeatInterval * 1000,
+        heartbeatTimeout = _config.heartbeatTimeout and _config.heartbeatTimeout * 1000 or nil,
+        stallTimeout = _config.stallTimeout and _config.stallTimeout * 1000 or nil,
+        plan = _state.plan,
+        group = _config.group
+    })
+end
+
 -- ============================================================================
 -- MESSAGE HANDLING
 -- ============================================================================
@@ -306,11 +384,21 @@ local function handleMessage(raw)
     elseif msgType == "authenticated" then
         _state.authenticated = true
         _state.sessionId = data.sessionId
+        _state.resumeToken = data.resumeToken
+        _state.capabilities = {}
+        for _, capability in ipairs(data.capabilities or {}) do
+            _state.capabilities[capability] = true
+        end
         _state.hubName = data.hub and data.hub.name
         _state.username = data.user and data.user.username
         _state.reconnectAttempts = 0
         
-        log("success", "Authenticated!")
+        -- Use the heartbeat interval the server agreed to
+        if data.heartbeatInterval then
+            _config.heartbeatInterval = data.heartbeatInterval / 1000
+        end
+        
+        log("success", data.resumed and "Session resumed!" or "Authenticated!")
         log("info", "  Session: " .. tostring(data.sessionId))
         log("info", "  Hub: " .. tostring(_state.hubName))
         log("info", "  User: " .. tostring(_state.username))
@@ -354,6 +442,7 @@ local function handleMessage(raw)
     elseif msgType == "command" then
         log("info", "Command received: " .. tostring(data.command))
         Afkty.Events.Command:Fire({
+            commandId = data.commandId,
             command = data.command,
             data = data.data
         })
@@ -364,6 +453,14 @@ local function handleMessage(raw)
         
         log("error", code .. ": " .. message)
         
+        if code == Afkty.ErrorCodes.INVALID_RESUME_TOKEN then
+            -- Session already ended on the server - start a fresh one
+            log("info", "Previous session expired, starting a new session")
+            _state.resumeToken = nil
+            sendConnect()
+            return
+        end
+        
         if code == "RATE_LIMITED" then
             Afkty.Events.RateLimited:Fire({
                 message = message
@@ -378,12 +475,21 @@ local function handleMessage(raw)
             if code == Afkty.ErrorCodes.INVALID_HUB_KEY or
                code == Afkty.ErrorCodes.HUB_SUSPENDED or
                code == Afkty.ErrorCodes.INVALID_USER_TOKEN or
-               code == Afkty.ErrorCodes.USER_SUSPENDED then
+               code == Afkty.ErrorCodes.USER_SUSPENDED or
+               code == Afkty.ErrorCodes.UNSUPPORTED_PROTOCOL then
                 _config.autoReconnect = false
                 log("error", "Fatal authentication error. Auto-reconnect disabled.")
             end
         end
         
+    elseif msgType == "plan_updated" then
+        log("debug", "Session plan updated")
+        
+    elseif msgType == "server_restarting" then
+        -- The session is held open - reconnect and resume once the server is back
+        _state.restartRetryAfter = (data.retryAfter or 5000) / 1000
+        log("info", string.format("Server restarting, resuming in ~%.0fs", _state.restartRetryAfter))
+        
     elseif msgType == "disconnected" then
         log("info", "Server acknowledged disconnect")
     end
@@ -414,6 +520,13 @@ local function scheduleReconnect()
         _config.reconnectDelay * (2 ^ (_state.reconnectAttempts - 1)),
         _config.maxReconnectDelay
     )
+    
+    -- A restarting server says when it'll be back
+    if _state.restartRetryAfter then
+        delay = _state.restartRetryAfter
+        _state.restartRetryAfter = nil
+    end
+    
     delay = delay + (math.random() * 2) -- Add 0-2 seconds jitter
     
     log("info", string.format("Reconnecting in %.1fs (attempt %d%s)", 
@@ -448,6 +561,10 @@ end
         
         autoReconnect (boolean, default: true) - Auto reconnect on disconnect
         heartbeatInterval (number, default: 10) - Seconds between heartbeats
+        heartbeatTimeout (number, optional) - Seconds without a heartbeat before you're alerted
+        stallTimeout (number, optional) - Seconds without a status change before a "stalled" alert (0 = off)
+        plan (table, optional) - When this session should end, see SetPlan
+        group (string, optional) - Session group from the AFKTY app this session belongs to
         maxReconnectAttempts (number, default: 20) - Max retry attempts (0 = infinite)
         debug (boolean, default: false) - Enable debug logging
     
@@ -476,6 +593,10 @@ function Afkty:Init(options)
     
     _config.autoReconnect = options.autoReconnect ~= false
     _config.heartbeatInterval = options.heartbeatInterval or 10
+    _config.heartbeatTimeout = options.heartbeatTimeout
+    _config.stallTimeout = options.stallTimeout
+    _state.plan = resolvePlan(options.plan)
+    _config.group = options.group
     _config.maxReconnectAttempts = options.maxReconnectAttempts or 20
     _config.debug = options.debug == true
     _config.queueOfflineMessages = options.queueOfflineMessages ~= false
@@ -548,13 +669,7 @@ function Afkty:Connect()
         end
     end)
     
-    -- Authenticate with hub key + user token
-    send({
-        type = "connect",
-        hubKey = _config.hubKey,
-        userToken = _config.userToken,
-        gameInfo = getGameInfo()
-    })
+    sendConnect()
     
     -- Connection timeout
     task.delay(_config.connectionTimeout, function()
@@ -585,7 +700,8 @@ function Afkty:Log(message, level)
     
     table.insert(_logBatch.messages, {
         message = tostring(message),
-        level = level
+        level = level,
+        timestamp = DateTime.now().UnixTimestampMillis
     })
     
     -- Start batch timer if not running
@@ -644,6 +760,34 @@ function Afkty:SetStatus(status, data)
     return true
 end
 
+--[[
+    Declare when this session is expected to end
+    Disconnecting well before then alerts the user (the script probably hit an error),
+    and running well past it sends a notice
+    
+    @param plan (table or nil) - { hours = 4 }, { minutes = 30 } or { endsAt = "06:00" } (local time); nil clears it
+]]
+function Afkty:SetPlan(plan)
+    local resolved = resolvePlan(plan)
+    
+    if plan ~= nil and not resolved then
+        log("warn", "SetPlan expects { hours = n }, { minutes = n } or { endsAt = \"HH:MM\" }")
+        return false
+    end
+    
+    _state.plan = resolved
+    
+    -- Sent with connect otherwise
+    if _state.authenticated and _state.capabilities.session_plan then
+        send({
+            type = "plan",
+            endsAt = resolved and resolved.endsAt or nil
+        })
+    end
+    
+    return true
+end
+
 --[[
     Send a push notification to the mobile app
     Rate limited to 5 per minute
@@ -690,6 +834,31 @@ function Afkty:Alert(reason, title)
     return true
 end
 
+--[[
+    Report the result of a command back to the mobile app
+    Call this from your OnCommand handler once the command has run
+    
+    @param commandId (string) - The commandId from the OnCommand event
+    @param success (boolean) - Whether the command ran successfully
+    @param payload (any, optional) - Data to return (or an error message on failure)
+]]
+function Afkty:RespondCommand(commandId, success, payload)
+    if not commandId then
+        log("warn", "RespondCommand requires a commandId")
+        return false
+    end
+    
+    send({
+        type = "command_result",
+        commandId = commandId,
+        success = success == true,
+        payload = success and payload or nil,
+        error = (not success and payload ~= nil) and tostring(payload) or nil
+    })
+    
+    return true
+end
+
 --[[
     Disconnect from the server
     Stops auto-reconnect
@@ -699,6 +868,7 @@ end
 function Afkty:Disconnect(reason)
     _state.isShuttingDown = true
     _config.autoReconnect = false
+    _state.resumeToken = nil
     
     if _state.heartbeatThread then
         pcall(task.cancel, _state.heartbeatThread)
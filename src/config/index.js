@@ -40,6 +40,145 @@ export default {
   // Dead Man's Switch Configuration
   deadman: {
     heartbeatTimeout: parseInt(process.env.HEARTBEAT_TIMEOUT) || 30000,  // 30 seconds
-    reconnectGracePeriod: parseInt(process.env.RECONNECT_GRACE_PERIOD) || 5000
+    heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 10000, // Assumed when the SDK doesn't say
+    // Bounds for values requested at connect (or set as a user default)
+    minHeartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL_MIN) || 5000,
+    maxHeartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL_MAX) || 60000,
+    minHeartbeatTimeout: parseInt(process.env.HEARTBEAT_TIMEOUT_MIN) || 15000,
+    maxHeartbeatTimeout: parseInt(process.env.HEARTBEAT_TIMEOUT_MAX) || 600000,
+    // Adaptive timeout learned from each session's heartbeat jitter
+    adaptiveCeiling: parseInt(process.env.HEARTBEAT_ADAPTIVE_CEILING) || 120000,   // Never wait longer than this
+    adaptiveMinSamples: parseInt(process.env.HEARTBEAT_ADAPTIVE_MIN_SAMPLES) || 5, // Gaps observed before adapting
+    reconnectGracePeriod: parseInt(process.env.RECONNECT_GRACE_PERIOD) || 5000,
+    resumeTokenTtl: parseInt(process.env.RESUME_TOKEN_TTL) || 86400,      // 24 hours (seconds)
+    restartGracePeriod: parseInt(process.env.RESTART_GRACE_PERIOD) || 60000, // Reconnect window after a server restart
+    restartRetryAfter: parseInt(process.env.RESTART_RETRY_AFTER) || 5000,    // Sent with server_restarting - when SDKs should reconnect
+    sweepInterval: parseInt(process.env.DEADLINE_SWEEP_INTERVAL) || 1000
+  },
+  
+  // WebSocket Server
+  websocket: {
+    maxPayload: parseInt(process.env.WS_MAX_PAYLOAD) || 65536,                 // 64 KB per frame
+    pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 30000,             // Sockets missing a pong by the next sweep are terminated
+    authTimeout: parseInt(process.env.WS_AUTH_TIMEOUT) || 10000,               // Time to send connect/resume/authenticate
+    maxUnauthenticatedPerIp: parseInt(process.env.WS_MAX_UNAUTH_PER_IP) || 10, // Pending (unauthenticated) sockets per IP
+    trustedProxyHops: parseInt(process.env.TRUSTED_PROXY_HOPS) || 0           // Reverse proxies in front of us - X-Forwarded-For is ignored at 0
+  },
+  
+  // Mobile -> SDK Commands
+  commands: {
+    timeout: parseInt(process.env.COMMAND_TIMEOUT) || 30000  // Wait for command_result
+  },
+
+  // SDK message rate limits (defaults - admins can override per hub or user tier)
+  rateLimits: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
+    defaults: {
+      status: parseInt(process.env.RATE_LIMIT_STATUS) || 6,
+      log: parseInt(process.env.RATE_LIMIT_LOG) || 30,
+      notify: parseInt(process.env.RATE_LIMIT_NOTIFY) || 5,
+      alert: parseInt(process.env.RATE_LIMIT_ALERT) || 5
+    },
+    cacheTtl: parseInt(process.env.RATE_LIMIT_CACHE_TTL) || 30000  // How long resolved rules are cached per instance
+  },
+
+  // Alert escalation scheduler
+  escalation: {
+    pollInterval: parseInt(process.env.ESCALATION_POLL_INTERVAL) || 2000,
+    webhookTimeout: parseInt(process.env.ESCALATION_WEBHOOK_TIMEOUT) || 5000,
+    staleAfter: parseInt(process.env.ESCALATION_STALE_AFTER) || 600000  // Steps overdue by more than this are dropped (e.g. after downtime)
+  },
+
+  // Mobile event replay
+  events: {
+    streamMaxLength: parseInt(process.env.EVENT_STREAM_MAX_LENGTH) || 1000, // Events kept per user (approximate)
+    streamTtl: parseInt(process.env.EVENT_STREAM_TTL) || 86400,             // Seconds an idle user's stream is kept
+    replayLimit: parseInt(process.env.EVENT_REPLAY_LIMIT) || 500            // Max events replayed per reconnect
+  },
+
+  // Session log ingestion
+  logs: {
+    flushInterval: parseInt(process.env.LOG_FLUSH_INTERVAL) || 1000,    // Max delay before buffered logs hit the DB
+    maxBufferSize: parseInt(process.env.LOG_MAX_BUFFER_SIZE) || 500,    // Flush early once this many are queued
+    maxClientSkew: parseInt(process.env.LOG_MAX_CLIENT_SKEW) || 300000  // Client timestamps older than this are clamped
+  },
+
+  // Progress watchdog (session alive but its status stopped changing)
+  watchdog: {
+    sweepInterval: parseInt(process.env.WATCHDOG_SWEEP_INTERVAL) || 30000,
+    minStallTimeout: parseInt(process.env.STALL_TIMEOUT_MIN) || 60000,     // 1 minute
+    maxStallTimeout: parseInt(process.env.STALL_TIMEOUT_MAX) || 86400000   // 24 hours
+  },
+
+  // Incidents (timeout correlation)
+  incidents: {
+    window: parseInt(process.env.INCIDENT_WINDOW) || 600000,                       // Timeouts this close together are one incident
+    followUpInterval: parseInt(process.env.INCIDENT_FOLLOW_UP_INTERVAL) || 120000  // At most one follow-up push per interval
+  },
+
+  // Alerts held by quiet hours
+  deferred: {
+    sweepInterval: parseInt(process.env.DEFERRED_SWEEP_INTERVAL) || 60000,  // How often to look for quiet hours that ended
+    claimTimeout: parseInt(process.env.DEFERRED_CLAIM_TIMEOUT) || 300000,   // A summary claimed by a crashed instance is retried after this
+    maxAge: parseInt(process.env.DEFERRED_MAX_AGE) || 604800000             // Undelivered alerts older than this are dropped (7 days)
+  },
+
+  // Alert snoozes
+  snooze: {
+    maxDuration: parseInt(process.env.SNOOZE_MAX_DURATION) || 604800000  // 7 days
+  },
+
+  // Session plans (expected end declared by the SDK)
+  plans: {
+    maxDuration: parseInt(process.env.PLAN_MAX_DURATION) || 604800000,     // 7 days
+    earlyStopGrace: parseInt(process.env.PLAN_EARLY_STOP_GRACE) || 120000, // Stops this close to the end are fine
+    overrunGrace: parseInt(process.env.PLAN_OVERRUN_GRACE) || 300000       // Notify this long after the planned end
+  },
+
+  // User-defined alert rules over session logs and status text
+  logRules: {
+    maxRules: parseInt(process.env.LOG_RULES_MAX) || 25,                         // Per user
+    defaultCooldown: parseInt(process.env.LOG_RULES_DEFAULT_COOLDOWN) || 300000, // 5 minutes between firings
+    minCooldown: parseInt(process.env.LOG_RULES_MIN_COOLDOWN) || 10000,
+    cacheTtl: parseInt(process.env.LOG_RULES_CACHE_TTL) || 30000                 // Rule edits reach other instances within this
+  },
+
+  // Outgoing webhooks (signed event deliveries with retries)
+  webhooks: {
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 2000,
+    maxEndpoints: parseInt(process.env.WEBHOOK_MAX_ENDPOINTS) || 10,     // Per user
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,        // Then the delivery is marked FAILED
+    retryBase: parseInt(process.env.WEBHOOK_RETRY_BASE) || 10000,        // First retry after 10s, doubling each time
+    retryMax: parseInt(process.env.WEBHOOK_RETRY_MAX) || 3600000,        // Never wait more than an hour between attempts
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 10,        // Endpoints sent to at once (one delivery at a time each)
+    disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 25,  // Consecutive failed attempts before an endpoint is switched off
+    retention: parseInt(process.env.WEBHOOK_RETENTION) || 604800000,     // Finished deliveries are deleted after 7 days
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'  // Let user webhooks reach local/private addresses (development)
+  },
+
+  // Discord / Telegram chat integrations
+  chat: {
+    transport: process.env.CHAT_TRANSPORT || 'live',                    // 'console' logs messages instead of sending them
+    telegramBotToken: process.env.TELEGRAM_BOT_TOKEN,
+    telegramBotUsername: process.env.TELEGRAM_BOT_USERNAME,             // For t.me/<bot>?start=<code> links
+    telegramWebhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET,         // Checked against X-Telegram-Bot-Api-Secret-Token
+    linkCodeTtl: parseInt(process.env.CHAT_LINK_CODE_TTL) || 900000     // 15 minutes to send /start <code>
+  },
+
+  // Email alerts (SMTP) and their signed acknowledge links
+  email: {
+    smtpHost: process.env.SMTP_HOST,                                    // Unset disables email
+    smtpPort: parseInt(process.env.SMTP_PORT) || 587,
+    smtpSecure: process.env.SMTP_SECURE === 'true',                     // TLS from the start (port 465)
+    smtpUser: process.env.SMTP_USER,
+    smtpPass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'AFKTY <noreply@localhost>',
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`, // Base of links in emails
+    ackSecret: process.env.EMAIL_ACK_SECRET || `${process.env.JWT_SECRET || 'change-this-secret-key'}:alert-ack`,
+    ackLinkTtl: parseInt(process.env.EMAIL_ACK_LINK_TTL) || 86400000,  // 24 hours
+    verifyLinkTtl: parseInt(process.env.EMAIL_VERIFY_LINK_TTL) || 86400000,
+    manualSendLimit: parseInt(process.env.EMAIL_MANUAL_SEND_LIMIT) || 3,         // Test and verification emails per user...
+    manualSendWindow: parseInt(process.env.EMAIL_MANUAL_SEND_WINDOW) || 3600000, // ...per hour
+    minRepeatInterval: parseInt(process.env.EMAIL_MIN_REPEAT_INTERVAL) || 300000 // Email escalation steps repeat at most every 5 minutes
   }
 };
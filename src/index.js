@@ -6,8 +6,10 @@ import config from './config/index.js';
 import redisService from './services/redis.js';
 import fcmService from './services/fcm.js';
 import websocketServiceV2 from './services/websocketV2.js';
-import sessionService from './services/sessionService.js';
+import deadlineService from './services/deadlineService.js';
 import prisma from './services/database.js';
+import eventBus from './services/eventBus.js';
+import logService from './services/logService.js';
 
 // Import routes
 import hubRoutes from './routes/hubs.js';
@@ -16,7 +18,11 @@ import userRoutes from './routes/users.js';
 import statusRoutes from './routes/status.js';
 import sdkRoutes from './routes/sdk.js';
 import alertRoutes from './routes/alerts.js';
-import alertLoopService from './services/alertLoopService.js';
+import webhookRoutes from './routes/webhooks.js';
+import integrationRoutes from './routes/integrations.js';
+import escalationService from './services/escalationService.js';
+import deferredAlertService from './services/deferredAlertService.js';
+import webhookService from './services/webhookService.js';
 
 const app = express();
 const server = createServer(app);
@@ -53,6 +59,8 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/status', statusRoutes);
 app.use('/api/v1/sdk', sdkRoutes);
 app.use('/api/v1/alerts', alertRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/integrations', integrationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -78,17 +86,26 @@ async function start() {
     await prisma.$connect();
     console.log('✓ Database connected');
 
-    // Cleanup any stale sessions from previous run
-    await sessionService.cleanupStaleSessions();
-
     // Connect to Redis (for caching and real-time data)
     await redisService.connect();
 
+    // Give sessions from the previous run a window to reconnect
+    await deadlineService.restoreAfterRestart();
+
+    // Cross-instance event bus (Redis pub/sub)
+    await eventBus.initialize();
+
     // Initialize Firebase
     fcmService.initialize();
 
-    // Restore active alert loops (Life or Death Mode)
-    await alertLoopService.restoreActiveLoops();
+    // Run alert escalation steps (picks up alerts from before a restart)
+    escalationService.start();
+
+    // Send quiet hours summaries (held alerts survive restarts)
+    deferredAlertService.start();
+
+    // Deliver queued webhooks (retries pick up where the last run stopped)
+    webhookService.start();
 
     // Initialize WebSocket server v2
     websocketServiceV2.initialize(server);
@@ -112,13 +129,23 @@ async function start() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
+// Graceful shutdown (SIGTERM from container orchestrators, SIGINT from a terminal)
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
   
   try {
     await websocketServiceV2.shutdown();
+    escalationService.stop();
+    deferredAlertService.stop();
+    webhookService.stop();
+    await logService.flush();
     await prisma.$disconnect();
+    await eventBus.shutdown();
     await redisService.disconnect();
     server.close(() => {
       console.log('✓ Server closed');
@@ -128,7 +155,10 @@ process.on('SIGINT', async () => {
     console.error('Error during shutdown:', error);
     process.exit(1);
   }
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
 start();
@@ -2,6 +2,7 @@ import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import hubService from '../services/hubService.js';
+import rateLimitService, { RATE_LIMIT_TYPES } from '../services/rateLimitService.js';
 import { adminAuthMiddleware } from '../middleware/adminAuth.js';
 import prisma from '../services/database.js';
 import config from '../config/index.js';
@@ -229,4 +230,278 @@ router.post('/hubs/:id/reject', adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+const USER_TIERS = ['FREE', 'PLUS', 'PRO'];
+
+/**
+ * Validate a rate limit rule body
+ * Returns an error message, or null if valid
+ */
+function validateRateLimitRule(type, { max, windowMs, note }) {
+  if (!RATE_LIMIT_TYPES.includes(type)) {
+    return `Type must be one of: ${RATE_LIMIT_TYPES.join(', ')}`;
+  }
+  if (!Number.isInteger(max) || max < 0 || max > 10000) {
+    return 'max must be an integer between 0 and 10000';
+  }
+  if (windowMs !== undefined && (!Number.isInteger(windowMs) || windowMs < 1000 || windowMs > 3600000)) {
+    return 'windowMs must be an integer between 1000 and 3600000';
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return 'note must be a string of at most 500 characters';
+  }
+  return null;
+}
+
+/**
+ * GET /api/v1/admin/rate-limits
+ * Config defaults plus every hub/tier override
+ */
+router.get('/rate-limits', adminAuthMiddleware, async (req, res) => {
+  try {
+    const rules = await rateLimitService.listRules();
+
+    res.json({
+      success: true,
+      defaults: rateLimitService.getDefaults(),
+      rules
+    });
+  } catch (error) {
+    console.error('Error listing rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rate limits'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/hubs/:id/rate-limits
+ * Effective limits for a hub (optionally for a user tier)
+ */
+router.get('/hubs/:id/rate-limits', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tier } = req.query;
+
+    if (tier && !USER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Tier must be one of: ${USER_TIERS.join(', ')}`
+      });
+    }
+
+    const hub = await hubService.getHubById(id);
+    if (!hub) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hub not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      limits: await rateLimitService.getLimits(id, tier || null)
+    });
+  } catch (error) {
+    console.error('Error fetching hub rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rate limits'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/admin/hubs/:id/rate-limits/:type
+ * Set a hub's limit for one message type (overrides tier and default)
+ */
+router.put('/hubs/:id/rate-limits/:type', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id, type } = req.params;
+
+    const validationError = validateRateLimitRule(type, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const hub = await hubService.getHubById(id);
+    if (!hub) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hub not found'
+      });
+    }
+
+    const rule = await rateLimitService.setRule({ hubId: id }, type, req.body, req.admin.email);
+
+    res.json({
+      success: true,
+      message: `${hub.name} ${type} limit set to ${rule.max} per ${rule.windowMs}ms`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error setting hub rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set rate limit'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/hubs/:id/rate-limits/:type
+ * Remove a hub override
+ */
+router.delete('/hubs/:id/rate-limits/:type', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const deleted = await rateLimitService.deleteRule({ hubId: id }, type);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate limit rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate limit override removed'
+    });
+  } catch (error) {
+    console.error('Error deleting hub rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rate limit'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/admin/tiers/:tier/rate-limits/:type
+ * Set the limit for every user on a tier
+ */
+router.put('/tiers/:tier/rate-limits/:type', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { tier, type } = req.params;
+
+    if (!USER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Tier must be one of: ${USER_TIERS.join(', ')}`
+      });
+    }
+
+    const validationError = validateRateLimitRule(type, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const rule = await rateLimitService.setRule({ tier }, type, req.body, req.admin.email);
+
+    res.json({
+      success: true,
+      message: `${tier} ${type} limit set to ${rule.max} per ${rule.windowMs}ms`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error setting tier rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set rate limit'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/tiers/:tier/rate-limits/:type
+ * Remove a tier override
+ */
+router.delete('/tiers/:tier/rate-limits/:type', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { tier, type } = req.params;
+
+    if (!USER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Tier must be one of: ${USER_TIERS.join(', ')}`
+      });
+    }
+
+    const deleted = await rateLimitService.deleteRule({ tier }, type);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate limit rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate limit override removed'
+    });
+  } catch (error) {
+    console.error('Error deleting tier rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rate limit'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/admin/users/:id/tier
+ * Move a user to another tier (applies on their next connect)
+ */
+router.patch('/users/:id/tier', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tier } = req.body;
+
+    if (!USER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Tier must be one of: ${USER_TIERS.join(', ')}`
+      });
+    }
+
+    const existing = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { tier },
+      select: { id: true, username: true, tier: true }
+    });
+
+    res.json({
+      success: true,
+      message: `User moved to ${tier}`,
+      user
+    });
+  } catch (error) {
+    console.error('Error updating user tier:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user tier'
+    });
+  }
+});
+
 export default router;
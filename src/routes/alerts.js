@@ -1,6 +1,12 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
-import alertLoopService from '../services/alertLoopService.js';
+import escalationService, { BUILT_IN_POLICIES } from '../services/escalationService.js';
+import incidentService from '../services/incidentService.js';
+import snoozeService from '../services/snoozeService.js';
+import deferredAlertService from '../services/deferredAlertService.js';
+import sessionGroupService from '../services/sessionGroupService.js';
+import logRuleService from '../services/logRuleService.js';
+import emailService from '../services/emailService.js';
 
 const router = express.Router();
 
@@ -11,7 +17,7 @@ const router = express.Router();
 router.get('/active', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const alert = await alertLoopService.getActiveAlert(userId);
+    const alert = await escalationService.getActiveAlert(userId);
 
     if (!alert) {
       return res.json({
@@ -31,7 +37,11 @@ router.get('/active', authMiddleware, async (req, res) => {
         gameName: alert.gameName,
         startedAt: alert.startedAt,
         notificationsSent: alert.notificationsSent,
-        maxNotifications: alert.maxNotifications
+        maxNotifications: alert.maxNotifications,
+        policyName: alert.policyName,
+        step: alert.stepIndex + 1,
+        totalSteps: alert.steps.length,
+        nextFireAt: alert.nextFireAt
       }
     });
   } catch (error) {
@@ -45,14 +55,14 @@ router.get('/active', authMiddleware, async (req, res) => {
 
 /**
  * POST /api/v1/alerts/:alertId/acknowledge
- * Acknowledge an alert (stops the notification loop)
+ * Acknowledge an alert (skips the remaining steps that stop on acknowledge)
  */
 router.post('/:alertId/acknowledge', authMiddleware, async (req, res) => {
   try {
     const { alertId } = req.params;
     const userId = req.user.userId;
 
-    const result = await alertLoopService.acknowledgeAlert(alertId, userId);
+    const result = await escalationService.acknowledgeAlert(alertId, userId);
 
     if (!result.success) {
       return res.status(404).json({
@@ -78,6 +88,75 @@ router.post('/:alertId/acknowledge', authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================================================
+// EMAIL ACKNOWLEDGE LINKS (no login - the signed token is the credential)
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function ackPage(title, message, { button = false } = {}) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:48px 24px;background:#f4f4f5;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#18181b;text-align:center">
+  <h1 style="font-size:22px">${escapeHtml(title)}</h1>
+  <p style="font-size:15px">${escapeHtml(message)}</p>
+  ${button ? '<form method="post"><button type="submit" style="background:#dc2626;color:#fff;border:0;padding:14px 24px;border-radius:8px;font-size:16px;font-weight:600">Acknowledge alert</button></form>' : ''}
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/v1/alerts/ack/:token
+ * Page behind the link in alert emails
+ * Acknowledging takes a POST: mail scanners open links, and must not silence alerts
+ */
+router.get('/ack/:token', async (req, res) => {
+  try {
+    const alert = await emailService.verifyAckToken(req.params.token);
+
+    if (!alert) {
+      return res.status(404).send(ackPage('Link expired', 'This link is invalid or has expired. Open the AFKTY app to acknowledge the alert.'));
+    }
+
+    if (alert.acknowledged) {
+      return res.send(ackPage('Already acknowledged', `${alert.gameName || 'Unknown Game'}: ${alert.reason}`));
+    }
+
+    res.send(ackPage(`🚨 ${alert.gameName || 'Unknown Game'}`, alert.reason, { button: true }));
+  } catch (error) {
+    console.error('Error opening acknowledge link:', error);
+    res.status(500).send(ackPage('Something went wrong', 'Try again, or acknowledge the alert in the AFKTY app.'));
+  }
+});
+
+/**
+ * POST /api/v1/alerts/ack/:token
+ * Acknowledge the alert the token was signed for
+ */
+router.post('/ack/:token', async (req, res) => {
+  try {
+    const alert = await emailService.verifyAckToken(req.params.token);
+
+    if (!alert) {
+      return res.status(404).send(ackPage('Link expired', 'This link is invalid or has expired. Open the AFKTY app to acknowledge the alert.'));
+    }
+
+    const result = await escalationService.acknowledgeAlert(alert.id, alert.userId);
+
+    if (!result.success && !alert.acknowledged) {
+      return res.status(409).send(ackPage('Not acknowledged', result.error));
+    }
+
+    res.send(ackPage('✅ Alert acknowledged', `${alert.gameName || 'Unknown Game'}: ${alert.reason}`));
+  } catch (error) {
+    console.error('Error acknowledging alert from link:', error);
+    res.status(500).send(ackPage('Something went wrong', 'Try again, or acknowledge the alert in the AFKTY app.'));
+  }
+});
+
 /**
  * GET /api/v1/alerts/history
  * Get user's alert history
@@ -101,7 +180,9 @@ router.get('/history', authMiddleware, async (req, res) => {
         startedAt: true,
         acknowledged: true,
         acknowledgedAt: true,
-        notificationsSent: true
+        notificationsSent: true,
+        policyName: true,
+        completedAt: true
       }
     });
 
@@ -118,4 +199,702 @@ router.get('/history', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/alerts/incidents
+ * Repeated timeouts grouped per place, e.g. a crash loop
+ */
+router.get('/incidents', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const incidents = await incidentService.listIncidents(req.user.userId, limit);
+
+    res.json({
+      success: true,
+      incidents: incidents.map(incident => ({
+        ...incident,
+        summary: incidentService.describe(incident)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting incidents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get incidents'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/alerts/deferred
+ * Alerts held by quiet hours - pending ones go out in the next summary
+ * ?summaryId= lists the alerts of one summary push (opened from the notification)
+ */
+router.get('/deferred', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const summaryId = typeof req.query.summaryId === 'string' ? req.query.summaryId : null;
+    const alerts = await deferredAlertService.listDeferred(req.user.userId, limit, summaryId);
+
+    res.json({
+      success: true,
+      alerts
+    });
+  } catch (error) {
+    console.error('Error getting deferred alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get deferred alerts'
+    });
+  }
+});
+
+// ============================================================================
+// SNOOZES
+// ============================================================================
+
+/**
+ * GET /api/v1/alerts/snoozes
+ * Snoozes that are still running
+ */
+router.get('/snoozes', authMiddleware, async (req, res) => {
+  try {
+    const snoozes = await snoozeService.listSnoozes(req.user.userId);
+
+    res.json({
+      success: true,
+      snoozes
+    });
+  } catch (error) {
+    console.error('Error getting snoozes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get snoozes'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/snoozes
+ * Mute alerts for a while - escalations already running for what it covers are acknowledged
+ * Body: { minutes } or { until }, optional { sessionId } or { placeId }, optional { reason }
+ */
+router.post('/snoozes', authMiddleware, async (req, res) => {
+  try {
+    const parsed = snoozeService.parseSnooze(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await snoozeService.createSnooze(req.user.userId, parsed.data);
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      snooze: result.snooze,
+      acknowledgedAlerts: result.acknowledgedAlerts
+    });
+  } catch (error) {
+    console.error('Error creating snooze:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create snooze'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/snoozes
+ * End every snooze
+ */
+router.delete('/snoozes', authMiddleware, async (req, res) => {
+  try {
+    const removed = await snoozeService.cancelSnooze(req.user.userId);
+
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    console.error('Error clearing snoozes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear snoozes'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/snoozes/:id
+ * End one snooze early
+ */
+router.delete('/snoozes/:id', authMiddleware, async (req, res) => {
+  try {
+    const removed = await snoozeService.cancelSnooze(req.user.userId, req.params.id);
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snooze not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Snooze ended'
+    });
+  } catch (error) {
+    console.error('Error ending snooze:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end snooze'
+    });
+  }
+});
+
+// ============================================================================
+// SESSION GROUPS
+// ============================================================================
+
+/**
+ * GET /api/v1/alerts/groups
+ * List the user's session groups with how many members are running
+ */
+router.get('/groups', authMiddleware, async (req, res) => {
+  try {
+    const groups = await sessionGroupService.listGroups(req.user.userId);
+
+    res.json({
+      success: true,
+      groups
+    });
+  } catch (error) {
+    console.error('Error listing session groups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list session groups'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/groups
+ * Create a session group - members alert together instead of one by one
+ * Body: { name, placeId?, size, minDown? } (minDown null = alert only when all are down)
+ */
+router.post('/groups', authMiddleware, async (req, res) => {
+  try {
+    const parsed = sessionGroupService.parseGroup(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const { error, group } = await sessionGroupService.createGroup(req.user.userId, parsed.data);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    console.error('Error creating session group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create session group'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/alerts/groups/:id
+ * Update a session group
+ */
+router.patch('/groups/:id', authMiddleware, async (req, res) => {
+  try {
+    const parsed = sessionGroupService.parseGroup(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await sessionGroupService.updateGroup(req.user.userId, req.params.id, parsed.data);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      group: result.group
+    });
+  } catch (error) {
+    console.error('Error updating session group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update session group'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/groups/:id
+ * Delete a session group (its sessions alert on their own again)
+ */
+router.delete('/groups/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await sessionGroupService.deleteGroup(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Group deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting session group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete session group'
+    });
+  }
+});
+
+// ============================================================================
+// LOG ALERT RULES
+// ============================================================================
+
+/**
+ * GET /api/v1/alerts/rules
+ * List the user's log alert rules
+ */
+router.get('/rules', authMiddleware, async (req, res) => {
+  try {
+    const rules = await logRuleService.listRules(req.user.userId);
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error listing log alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list log alert rules'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/rules
+ * Create a log alert rule
+ * Body: { name, pattern, isRegex?, matchCase?, source?, levels?, hubId?, placeId?, action, webhookUrl?, cooldown? }
+ */
+router.post('/rules', authMiddleware, async (req, res) => {
+  try {
+    const parsed = logRuleService.parseRule(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const { error, rule } = await logRuleService.createRule(req.user.userId, parsed.data);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('Error creating log alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create log alert rule'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/alerts/rules/:id
+ * Update a log alert rule (e.g. { enabled: false })
+ */
+router.patch('/rules/:id', authMiddleware, async (req, res) => {
+  try {
+    const parsed = logRuleService.parseRule(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const result = await logRuleService.updateRule(req.user.userId, req.params.id, parsed.data);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      rule: result.rule
+    });
+  } catch (error) {
+    console.error('Error updating log alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update log alert rule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/rules/:id
+ * Delete a log alert rule
+ */
+router.delete('/rules/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await logRuleService.deleteRule(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting log alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete log alert rule'
+    });
+  }
+});
+
+// ============================================================================
+// BUDDIES
+// ============================================================================
+
+/**
+ * GET /api/v1/alerts/buddies
+ * Buddies the user invited and invites the user received
+ */
+router.get('/buddies', authMiddleware, async (req, res) => {
+  try {
+    const { buddies, invites } = await escalationService.listBuddies(req.user.userId);
+
+    res.json({
+      success: true,
+      buddies,
+      invites
+    });
+  } catch (error) {
+    console.error('Error listing buddies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list buddies'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/buddies
+ * Invite an account to be paged by buddy steps - it must accept first
+ * Body: { email } - the answer is the same whether or not the email is registered
+ */
+router.post('/buddies', authMiddleware, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || email.length === 0 || email.length > 254) {
+      return res.status(400).json({
+        success: false,
+        error: 'email is required'
+      });
+    }
+
+    await escalationService.inviteBuddy(req.user.userId, email);
+
+    res.status(202).json({
+      success: true,
+      message: 'If that account exists, it has been asked to be your buddy'
+    });
+  } catch (error) {
+    console.error('Error inviting buddy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite buddy'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/buddies/:id/accept
+ * Accept an invite (the inviter's buddy steps can then page you)
+ */
+router.post('/buddies/:id/accept', authMiddleware, async (req, res) => {
+  try {
+    const accepted = await escalationService.acceptBuddy(req.user.userId, req.params.id);
+
+    if (!accepted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite accepted'
+    });
+  } catch (error) {
+    console.error('Error accepting buddy invite:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invite'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/buddies/:id
+ * Decline an invite, stop being someone's buddy, or remove a buddy
+ */
+router.delete('/buddies/:id', authMiddleware, async (req, res) => {
+  try {
+    const removed = await escalationService.removeBuddy(req.user.userId, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Buddy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Buddy removed'
+    });
+  } catch (error) {
+    console.error('Error removing buddy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove buddy'
+    });
+  }
+});
+
+// ============================================================================
+// ESCALATION POLICIES
+// ============================================================================
+
+/**
+ * Validate a policy body
+ * Returns { error } or { data } with normalized steps
+ */
+async function parsePolicyBody(userId, body, { partial = false } = {}) {
+  const { name, steps, isDefault } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+      return { error: 'name is required (max 50 characters)' };
+    }
+    data.name = name.trim();
+  }
+
+  if (steps !== undefined || !partial) {
+    const result = await escalationService.validateSteps(userId, steps);
+    if (result.error) {
+      return { error: result.error };
+    }
+    data.steps = result.steps;
+  }
+
+  if (isDefault !== undefined) {
+    if (typeof isDefault !== 'boolean') {
+      return { error: 'isDefault must be a boolean' };
+    }
+    data.isDefault = isDefault;
+  }
+
+  return { data };
+}
+
+/**
+ * GET /api/v1/alerts/policies
+ * List the user's escalation policies (and the built-in fallbacks)
+ */
+router.get('/policies', authMiddleware, async (req, res) => {
+  try {
+    const policies = await escalationService.listPolicies(req.user.userId);
+
+    res.json({
+      success: true,
+      policies,
+      builtIn: BUILT_IN_POLICIES
+    });
+  } catch (error) {
+    console.error('Error listing escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list escalation policies'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/alerts/policies
+ * Create an escalation policy
+ * Body: { name, steps: [{ channel, delay, repeat, interval, stopOnAck, url?, buddyEmail? }], isDefault }
+ */
+router.post('/policies', authMiddleware, async (req, res) => {
+  try {
+    const { error, data } = await parsePolicyBody(req.user.userId, req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const policy = await escalationService.createPolicy(req.user.userId, data);
+
+    res.status(201).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Error creating escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create escalation policy'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/alerts/policies/:id
+ * Update an escalation policy (alerts already running keep their steps)
+ */
+router.patch('/policies/:id', authMiddleware, async (req, res) => {
+  try {
+    const { error, data } = await parsePolicyBody(req.user.userId, req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const policy = await escalationService.updatePolicy(req.user.userId, req.params.id, data);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Error updating escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update escalation policy'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/alerts/policies/:id
+ * Delete an escalation policy
+ */
+router.delete('/policies/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await escalationService.deletePolicy(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Policy deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete escalation policy'
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,249 @@
+import express from 'express';
+import crypto from 'crypto';
+import { authMiddleware } from '../middleware/auth.js';
+import chatService, { CHAT_EVENTS } from '../services/chatService.js';
+import config from '../config/index.js';
+
+const router = express.Router();
+
+// ============================================================================
+// TELEGRAM BOT WEBHOOK
+// ============================================================================
+
+/**
+ * POST /api/v1/integrations/telegram/webhook
+ * Updates from the Telegram bot (set with setWebhook and secret_token)
+ * Always answers 200 once verified so Telegram doesn't redeliver
+ */
+router.post('/telegram/webhook', async (req, res) => {
+  try {
+    const secret = config.chat.telegramWebhookSecret;
+
+    if (!secret) {
+      return res.status(404).json({
+        success: false,
+        error: 'Telegram integration is not configured'
+      });
+    }
+
+    // Digests have a fixed length whatever bytes the header holds
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const given = req.get('X-Telegram-Bot-Api-Secret-Token') || '';
+
+    if (!crypto.timingSafeEqual(digest(given), digest(secret))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid secret token'
+      });
+    }
+
+    await chatService.handleTelegramUpdate(req.body);
+  } catch (error) {
+    console.error('Error handling Telegram update:', error);
+  }
+
+  res.json({ success: true });
+});
+
+// ============================================================================
+// INTEGRATIONS
+// ============================================================================
+
+/**
+ * GET /api/v1/integrations
+ * List the user's chat integrations
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const integrations = await chatService.listIntegrations(req.user.userId);
+
+    res.json({
+      success: true,
+      integrations,
+      events: CHAT_EVENTS
+    });
+  } catch (error) {
+    console.error('Error listing integrations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list integrations'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/integrations/discord
+ * Connect (or replace) a Discord channel webhook
+ * Body: { webhookUrl, events?: ['alert', 'timeout', 'notify'] ([] = all), enabled? }
+ */
+router.put('/discord', authMiddleware, async (req, res) => {
+  try {
+    const parsed = chatService.parseIntegration('DISCORD', req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const integration = await chatService.saveDiscord(req.user.userId, parsed.data);
+
+    res.json({
+      success: true,
+      integration
+    });
+  } catch (error) {
+    console.error('Error saving Discord integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save Discord integration'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/integrations/telegram
+ * Get a link code - send "/start <linkCode>" to the bot (or open link) to connect the chat
+ * Body: { events?, enabled? }
+ */
+router.post('/telegram', authMiddleware, async (req, res) => {
+  try {
+    if (!chatService.isTelegramConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Telegram integration is not available on this server'
+      });
+    }
+
+    const parsed = chatService.parseIntegration('TELEGRAM', req.body || {});
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const { integration, linkCode, link } = await chatService.createTelegramLink(req.user.userId, parsed.data);
+
+    res.json({
+      success: true,
+      integration,
+      linkCode,
+      link
+    });
+  } catch (error) {
+    console.error('Error creating Telegram link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create Telegram link'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/integrations/:provider
+ * Update an integration (events, enabled, and webhookUrl for Discord)
+ */
+router.patch('/:provider', authMiddleware, async (req, res) => {
+  try {
+    const provider = chatService.toProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown provider'
+      });
+    }
+
+    const parsed = chatService.parseIntegration(provider, req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const integration = await chatService.updateIntegration(req.user.userId, provider, parsed.data);
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      integration
+    });
+  } catch (error) {
+    console.error('Error updating integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update integration'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/integrations/:provider/test
+ * Send a test message
+ */
+router.post('/:provider/test', authMiddleware, async (req, res) => {
+  try {
+    const provider = chatService.toProvider(req.params.provider);
+    const result = provider ? await chatService.sendTest(req.user.userId, provider) : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found or not linked yet'
+      });
+    }
+
+    res.json({
+      success: result.success,
+      ...(!result.success && { error: result.reason || `HTTP ${result.status}` })
+    });
+  } catch (error) {
+    console.error('Error sending test message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test message'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/integrations/:provider
+ * Disconnect an integration
+ */
+router.delete('/:provider', authMiddleware, async (req, res) => {
+  try {
+    const provider = chatService.toProvider(req.params.provider);
+    const deleted = provider ? await chatService.deleteIntegration(req.user.userId, provider) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Integration removed'
+    });
+  } catch (error) {
+    console.error('Error removing integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove integration'
+    });
+  }
+});
+
+export default router;
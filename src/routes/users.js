@@ -3,9 +3,15 @@ import userService from '../services/userService.js';
 import deviceService from '../services/deviceService.js';
 import sessionService from '../services/sessionService.js';
 import logService from '../services/logService.js';
+import commandService from '../services/commandService.js';
+import snoozeService from '../services/snoozeService.js';
+import quietHoursService from '../services/quietHoursService.js';
+import webhookService from '../services/webhookService.js';
+import emailService from '../services/emailService.js';
 import redisService from '../services/redis.js';
 import { authMiddleware, addToBlacklist } from '../middleware/auth.js';
 import { generateToken } from '../utils/auth.js';
+import config from '../config/index.js';
 
 const router = express.Router();
 
@@ -304,12 +310,16 @@ router.get('/me', authMiddleware, async (req, res) => {
       });
     }
 
-    const stats = await sessionService.getUserStats(req.user.userId);
+    const [stats, snoozes] = await Promise.all([
+      sessionService.getUserStats(req.user.userId),
+      snoozeService.listSnoozes(req.user.userId)
+    ]);
 
     res.json({
       success: true,
       user,
-      stats
+      stats,
+      snoozes
     });
   } catch (error) {
     console.error('Error fetching profile:', error);
@@ -327,7 +337,67 @@ router.get('/me', authMiddleware, async (req, res) => {
 router.patch('/me', authMiddleware, async (req, res) => {
   try {
     const settings = req.body;
-    const user = await userService.updateSettings(req.user.userId, settings);
+
+    // null clears the default (server default applies)
+    if (settings.heartbeatTimeout !== undefined && settings.heartbeatTimeout !== null) {
+      const { minHeartbeatTimeout, maxHeartbeatTimeout } = config.deadman;
+      if (!Number.isInteger(settings.heartbeatTimeout) ||
+          settings.heartbeatTimeout < minHeartbeatTimeout ||
+          settings.heartbeatTimeout > maxHeartbeatTimeout) {
+        return res.status(400).json({
+          success: false,
+          error: `heartbeatTimeout must be between ${minHeartbeatTimeout} and ${maxHeartbeatTimeout} ms`
+        });
+      }
+    }
+
+    // null turns the watchdog off for new sessions
+    if (settings.stallTimeout !== undefined && settings.stallTimeout !== null) {
+      const { minStallTimeout, maxStallTimeout } = config.watchdog;
+      if (!Number.isInteger(settings.stallTimeout) ||
+          settings.stallTimeout < minStallTimeout ||
+          settings.stallTimeout > maxStallTimeout) {
+        return res.status(400).json({
+          success: false,
+          error: `stallTimeout must be between ${minStallTimeout} and ${maxStallTimeout} ms`
+        });
+      }
+    }
+
+    if (settings.emailAlerts !== undefined) {
+      if (typeof settings.emailAlerts !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'emailAlerts must be a boolean'
+        });
+      }
+      if (settings.emailAlerts && !emailService.isConfigured()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email alerts are not available on this server'
+        });
+      }
+      if (settings.emailAlerts) {
+        const user = await userService.getUserById(req.user.userId);
+        if (!user?.emailVerifiedAt) {
+          return res.status(400).json({
+            success: false,
+            error: 'Verify your email address before turning on email alerts'
+          });
+        }
+      }
+    }
+
+    // Timezone, weekday rules and breakthrough severity
+    const quietHours = quietHoursService.validateSettings(settings);
+    if (quietHours.error) {
+      return res.status(400).json({
+        success: false,
+        error: quietHours.error
+      });
+    }
+
+    const user = await userService.updateSettings(req.user.userId, { ...settings, ...quietHours.data });
 
     res.json({
       success: true,
@@ -342,6 +412,98 @@ router.patch('/me', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Answer for an email the user asked for (test or verification)
+ */
+function sendEmailResult(res, result, message) {
+  if (result.success) {
+    return res.json({
+      success: true,
+      message
+    });
+  }
+
+  const errors = {
+    EMAIL_NOT_VERIFIED: [400, 'Verify your email address first'],
+    ALREADY_VERIFIED: [400, 'Your email address is already verified'],
+    RATE_LIMITED: [429, 'Too many emails requested, try again later']
+  };
+  const [status, error] = errors[result.reason] || [502, `Email could not be sent: ${result.reason}`];
+
+  res.status(status).json({
+    success: false,
+    error,
+    ...(result.retryAfter && { retryAfter: result.retryAfter })
+  });
+}
+
+/**
+ * POST /api/v1/users/me/email/verify
+ * Email a link that verifies the account address (needed before any alert email)
+ */
+router.post('/me/email/verify', authMiddleware, async (req, res) => {
+  try {
+    if (!emailService.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email alerts are not available on this server'
+      });
+    }
+
+    const result = await emailService.sendVerification(req.user.userId);
+    sendEmailResult(res, result, 'Verification email sent');
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/users/verify-email/:token
+ * Link from the verification email (no login - the signed token is the credential)
+ */
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const verified = await emailService.confirmVerification(req.params.token);
+
+    if (!verified) {
+      return res.status(404).send('<h1>Link expired</h1><p>This link is invalid or has expired. Request a new one in the AFKTY app.</p>');
+    }
+
+    res.send('<h1>✅ Email verified</h1><p>You can now turn on email alerts in the AFKTY app.</p>');
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).send('<h1>Something went wrong</h1><p>Try the link again later.</p>');
+  }
+});
+
+/**
+ * POST /api/v1/users/me/email/test
+ * Send a test email to the verified account address (checks the SMTP setup)
+ */
+router.post('/me/email/test', authMiddleware, async (req, res) => {
+  try {
+    if (!emailService.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email alerts are not available on this server'
+      });
+    }
+
+    const result = await emailService.sendTest(req.user.userId);
+    sendEmailResult(res, result, 'Test email sent');
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test email'
+    });
+  }
+});
+
 // ============================================================================
 // USER TOKEN MANAGEMENT
 // ============================================================================
@@ -647,10 +809,15 @@ router.get('/me/sessions', authMiddleware, async (req, res) => {
         gameJobId: s.gameJobId,
         executor: s.executor,
         hubName: s.hub?.name,
-        status: 'ACTIVE',
+        status: s.status,
         currentStatus: s.currentStatus,
         connectedAt: s.connectedAt,
-        lastHeartbeat: s.lastHeartbeatAt
+        lastHeartbeat: s.lastHeartbeatAt,
+        heartbeat: sessionService.describeHeartbeat(s),
+        stallTimeout: s.stallTimeout,
+        lastProgressAt: s.lastProgressAt,
+        stalledAt: s.stalledAt,
+        plannedEndAt: s.plannedEndAt
       }))
     });
   } catch (error) {
@@ -714,7 +881,15 @@ router.delete('/me/sessions/:id', authMiddleware, async (req, res) => {
     }
     
     // Disconnect the session
-    await sessionService.disconnectSessionById(id, 'MANUAL', 'Stopped by user from mobile app');
+    const stopped = await sessionService.disconnectSessionById(id, 'MANUAL', 'Stopped by user from mobile app');
+
+    webhookService.emit(req.user.userId, 'session_ended', {
+      sessionId: id,
+      gameName: session.gameName || 'Unknown Game',
+      reason: 'Stopped by user from mobile app',
+      earlyStop: false,
+      disconnectedAt: stopped?.disconnectedAt
+    });
     
     res.json({
       success: true,
@@ -729,6 +904,44 @@ router.delete('/me/sessions/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/users/me/sessions/:id/commands
+ * Get command history for a session
+ * Query params: limit (default 50), offset (default 0)
+ */
+router.get('/me/sessions/:id/commands', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    // Verify session belongs to user
+    const session = await sessionService.getSessionById(id);
+    if (!session || session.userId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const commands = await commandService.getCommandsBySession(id, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      commands,
+      count: commands.length
+    });
+  } catch (error) {
+    console.error('Error fetching session commands:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commands'
+    });
+  }
+});
+
 // ============================================================================
 // LOGS
 // ============================================================================
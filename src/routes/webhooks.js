@@ -0,0 +1,226 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import webhookService, { WEBHOOK_EVENTS } from '../services/webhookService.js';
+
+const router = express.Router();
+
+// ============================================================================
+// ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/v1/webhooks
+ * List the user's webhook endpoints (secrets are only shown on create/rotate)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.user.userId);
+
+    res.json({
+      success: true,
+      endpoints,
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks
+ * Register an endpoint - the response holds its signing secret, shown only once
+ * Body: { url, events?: ['timeout', 'alert', ...] ([] = all), description? }
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const parsed = webhookService.parseEndpoint(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const { error, endpoint } = await webhookService.createEndpoint(req.user.userId, parsed.data);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/webhooks/:id
+ * Update an endpoint (url, events, description, enabled)
+ */
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const parsed = webhookService.parseEndpoint(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const endpoint = await webhookService.updateEndpoint(req.user.userId, req.params.id, parsed.data);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/:id/secret
+ * Rotate the signing secret
+ */
+router.post('/:id/secret', authMiddleware, async (req, res) => {
+  try {
+    const secret = await webhookService.rotateSecret(req.user.userId, req.params.id);
+
+    if (!secret) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Remove an endpoint and its delivery log
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await webhookService.deleteEndpoint(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// ============================================================================
+// DELIVERIES
+// ============================================================================
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Delivery log for an endpoint, newest first
+ * Query params: limit (default 50, max 100)
+ */
+router.get('/:id/deliveries', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const deliveries = await webhookService.listDeliveries(req.user.userId, req.params.id, limit);
+
+    if (!deliveries) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again with a fresh set of retries
+ */
+router.post('/deliveries/:deliveryId/redeliver', authMiddleware, async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.user.userId, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,557 @@
+import crypto from 'crypto';
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import escalationService from './escalationService.js';
+import sessionService from './sessionService.js';
+import redisService from './redis.js';
+import config from '../config/index.js';
+
+/**
+ * Chat Service
+ * Posts alerts, timeouts and script notifications to Discord (channel webhook)
+ * and Telegram (bot messages), and answers Telegram commands:
+ * /ack, /status and /stop <session>.
+ *
+ * Providers are reached through transports - send(integration, message) - so
+ * CHAT_TRANSPORT=console (or setTransport) replaces the real APIs locally.
+ */
+
+export const CHAT_PROVIDERS = ['discord', 'telegram'];
+export const CHAT_EVENTS = ['alert', 'timeout', 'notify'];
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+const MAX_TEXT = 1500;
+const MIN_SESSION_PREFIX = 6;
+
+const COLORS = {
+  alert: 0xE74C3C,
+  timeout: 0xE67E22,
+  notify: 0x3498DB,
+  info: 0x95A5A6
+};
+
+const INTEGRATION_SELECT = {
+  id: true,
+  provider: true,
+  webhookUrl: true,
+  chatId: true,
+  linkCodeExpiresAt: true,
+  events: true,
+  enabled: true,
+  lastSentAt: true,
+  lastError: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, length = MAX_TEXT) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+}
+
+// ============================================================================
+// TRANSPORTS - message: { title, description, color, fields: [{ name, value }], alertId }
+// ============================================================================
+
+class DiscordTransport {
+  async send(integration, message) {
+    return deviceService.sendWebhook(integration.webhookUrl, {
+      username: 'Afkty',
+      embeds: [{
+        title: message.title,
+        description: message.description || undefined,
+        color: message.color,
+        fields: (message.fields || []).map(field => ({ ...field, inline: true })),
+        footer: message.alertId ? { text: `Alert ${message.alertId}` } : undefined,
+        timestamp: new Date().toISOString()
+      }]
+    }, { userAgent: 'AFKTY-Chat/1.0' });
+  }
+}
+
+class TelegramTransport {
+  async send(integration, message) {
+    const lines = [];
+    if (message.title) lines.push(`<b>${escapeHtml(message.title)}</b>`);
+    if (message.description) lines.push(escapeHtml(message.description));
+    for (const field of message.fields || []) {
+      lines.push(`<b>${escapeHtml(field.name)}:</b> ${escapeHtml(field.value)}`);
+    }
+    if (message.alertId) lines.push(`<i>Send /ack to acknowledge</i>`);
+
+    return deviceService.sendWebhook(`https://api.telegram.org/bot${config.chat.telegramBotToken}/sendMessage`, {
+      chat_id: integration.chatId,
+      text: lines.join('\n'),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    }, { userAgent: 'AFKTY-Chat/1.0' });
+  }
+}
+
+class ConsoleTransport {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  async send(integration, message) {
+    const target = integration.chatId || integration.webhookUrl;
+    console.log(`💬 [${this.provider} -> ${target}] ${message.title || ''} ${message.description || ''}`.trim());
+    return { success: true };
+  }
+}
+
+class ChatService {
+  constructor() {
+    this.transports = config.chat.transport === 'console'
+      ? { DISCORD: new ConsoleTransport('DISCORD'), TELEGRAM: new ConsoleTransport('TELEGRAM') }
+      : { DISCORD: new DiscordTransport(), TELEGRAM: new TelegramTransport() };
+
+    // Set by the WebSocket server - (userId, sessionId, command) => { error } | { record }
+    this.commandHandler = null;
+  }
+
+  /**
+   * Replace a provider's transport (local testing)
+   */
+  setTransport(provider, transport) {
+    this.transports[provider] = transport;
+  }
+
+  setCommandHandler(handler) {
+    this.commandHandler = handler;
+  }
+
+  isTelegramConfigured() {
+    return config.chat.transport === 'console' || Boolean(config.chat.telegramBotToken);
+  }
+
+  /**
+   * "discord" -> "DISCORD", or null for an unknown provider
+   */
+  toProvider(value) {
+    return CHAT_PROVIDERS.includes(value) ? value.toUpperCase() : null;
+  }
+
+  // ============================================================================
+  // INTEGRATIONS
+  // ============================================================================
+
+  /**
+   * Validate an integration body
+   * @returns {{error: string}|{data: object}}
+   */
+  parseIntegration(provider, { webhookUrl, events, enabled }, { partial = false } = {}) {
+    const data = {};
+
+    if (provider === 'DISCORD' && (webhookUrl !== undefined || !partial)) {
+      const result = deviceService.parseWebhookUrl(webhookUrl);
+      if (result.error) {
+        return { error: `webhookUrl: ${result.error}` };
+      }
+
+      const url = new URL(result.url);
+      if (url.protocol !== 'https:' || !DISCORD_HOSTS.includes(url.hostname) || !url.pathname.startsWith('/api/webhooks/')) {
+        return { error: 'webhookUrl must be a Discord webhook URL (https://discord.com/api/webhooks/...)' };
+      }
+      data.webhookUrl = result.url;
+    }
+
+    if (events !== undefined) {
+      const list = events === null ? [] : events;
+      if (!Array.isArray(list) || list.some(event => !CHAT_EVENTS.includes(event))) {
+        return { error: `events must be an array of: ${CHAT_EVENTS.join(', ')}` };
+      }
+      data.events = [...new Set(list)];
+    }
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        return { error: 'enabled must be a boolean' };
+      }
+      data.enabled = enabled;
+    }
+
+    return { data };
+  }
+
+  async listIntegrations(userId) {
+    return prisma.chatIntegration.findMany({
+      where: { userId },
+      orderBy: { provider: 'asc' },
+      select: INTEGRATION_SELECT
+    });
+  }
+
+  /**
+   * Create or replace the user's Discord webhook
+   */
+  async saveDiscord(userId, data) {
+    return prisma.chatIntegration.upsert({
+      where: { userId_provider: { userId, provider: 'DISCORD' } },
+      create: { userId, provider: 'DISCORD', events: [], ...data },
+      update: { ...data, lastError: null },
+      select: INTEGRATION_SELECT
+    });
+  }
+
+  /**
+   * Start (or restart) linking a Telegram chat
+   * The user sends /start <linkCode> to the bot; until then chatId stays as it was
+   * @returns {{integration: object, linkCode: string, link: string|null}}
+   */
+  async createTelegramLink(userId, data) {
+    const linkCode = crypto.randomBytes(9).toString('base64url');
+    const linkCodeExpiresAt = new Date(Date.now() + config.chat.linkCodeTtl);
+
+    const integration = await prisma.chatIntegration.upsert({
+      where: { userId_provider: { userId, provider: 'TELEGRAM' } },
+      create: { userId, provider: 'TELEGRAM', events: [], ...data, linkCode, linkCodeExpiresAt },
+      update: { ...data, linkCode, linkCodeExpiresAt },
+      select: INTEGRATION_SELECT
+    });
+
+    const bot = config.chat.telegramBotUsername;
+    return {
+      integration,
+      linkCode,
+      link: bot ? `https://t.me/${bot}?start=${linkCode}` : null
+    };
+  }
+
+  /**
+   * @returns {object|null} null if the integration doesn't exist
+   */
+  async updateIntegration(userId, provider, data) {
+    const { count } = await prisma.chatIntegration.updateMany({
+      where: { userId, provider },
+      data
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return prisma.chatIntegration.findUnique({
+      where: { userId_provider: { userId, provider } },
+      select: INTEGRATION_SELECT
+    });
+  }
+
+  async deleteIntegration(userId, provider) {
+    const result = await prisma.chatIntegration.deleteMany({
+      where: { userId, provider }
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Send a test message through one integration
+   * @returns {object|null} transport result, null if there is nothing to send to
+   */
+  async sendTest(userId, provider) {
+    const integration = await prisma.chatIntegration.findUnique({
+      where: { userId_provider: { userId, provider } }
+    });
+
+    if (!integration || !this.isReachable(integration)) {
+      return null;
+    }
+
+    return this.deliver(integration, {
+      title: '✅ Afkty is connected',
+      description: 'Alerts for your sessions will show up here.',
+      color: COLORS.info
+    });
+  }
+
+  // ============================================================================
+  // OUTGOING
+  // ============================================================================
+
+  isReachable(integration) {
+    return integration.provider === 'DISCORD' ? Boolean(integration.webhookUrl) : Boolean(integration.chatId);
+  }
+
+  /**
+   * Chat message for an event
+   */
+  format(event, data) {
+    const fields = [];
+    if (data.gameName) fields.push({ name: 'Game', value: truncate(data.gameName, 100) });
+    if (data.hubName) fields.push({ name: 'Script', value: truncate(data.hubName, 100) });
+    if (data.lastStatus) fields.push({ name: 'Last status', value: truncate(data.lastStatus, 200) });
+
+    switch (event) {
+      case 'alert':
+        return {
+          title: truncate(data.title || '🚨 CRITICAL ALERT', 200),
+          description: truncate(data.reason),
+          color: COLORS.alert,
+          fields
+        };
+
+      case 'timeout':
+        return {
+          title: '⚠️ Session stopped responding',
+          description: truncate(data.reason || 'Heartbeat timeout - possible crash, kick or internet failure'),
+          color: COLORS.timeout,
+          fields,
+          alertId: data.alertId
+        };
+
+      case 'notify':
+        return {
+          title: truncate(`📢 ${data.title}`, 200),
+          description: truncate(data.body),
+          color: COLORS.notify
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Post an event to every enabled integration of the user that subscribes to it
+   * Best effort and never throws - chat must not get in the way of alerting
+   */
+  async notify(userId, event, data) {
+    try {
+      const integrations = await prisma.chatIntegration.findMany({
+        where: { userId, enabled: true }
+      });
+
+      const message = this.format(event, data);
+      if (!message) return;
+
+      const targets = integrations.filter(integration =>
+        this.isReachable(integration) &&
+        (!Array.isArray(integration.events) || integration.events.length === 0 || integration.events.includes(event))
+      );
+
+      await Promise.all(targets.map(integration => this.deliver(integration, message)));
+    } catch (error) {
+      console.error(`Failed to post ${event} to chat for user ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Send through the provider's transport and record the outcome
+   */
+  async deliver(integration, message) {
+    let result;
+    try {
+      result = await this.transports[integration.provider].send(integration, message);
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+
+    const error = result.success ? null : (result.reason || `HTTP ${result.status}`);
+    if (error) {
+      console.warn(`💬 ${integration.provider} message for user ${integration.userId} failed: ${error}`);
+    }
+
+    await prisma.chatIntegration.update({
+      where: { id: integration.id },
+      data: result.success ? { lastSentAt: new Date(), lastError: null } : { lastError: error.substring(0, 500) }
+    }).catch(() => {});
+
+    return result;
+  }
+
+  // ============================================================================
+  // TELEGRAM COMMANDS
+  // ============================================================================
+
+  /**
+   * Handle an update from the Telegram bot webhook
+   */
+  async handleTelegramUpdate(update) {
+    const message = update?.message;
+    if (typeof message?.text !== 'string' || message.chat?.id == null) {
+      return;
+    }
+
+    const match = message.text.trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+    if (!match) {
+      return;
+    }
+
+    const chatId = String(message.chat.id);
+    const command = match[1].toLowerCase();
+    const argument = match[2]?.trim() || '';
+
+    const reply = command === 'start'
+      ? await this.linkTelegramChat(chatId, argument)
+      : await this.runTelegramCommand(chatId, command, argument);
+
+    await this.transports.TELEGRAM.send({ provider: 'TELEGRAM', chatId }, reply);
+  }
+
+  /**
+   * /start <linkCode>
+   */
+  async linkTelegramChat(chatId, linkCode) {
+    if (!linkCode) {
+      return { description: 'Open Integrations in the Afkty app to get a link code, then send /start <code>.' };
+    }
+
+    try {
+      const { count } = await prisma.chatIntegration.updateMany({
+        where: { provider: 'TELEGRAM', linkCode, linkCodeExpiresAt: { gt: new Date() } },
+        data: { chatId, linkCode: null, linkCodeExpiresAt: null, lastError: null }
+      });
+
+      if (count === 0) {
+        return { description: 'That link code is invalid or has expired. Create a new one in the Afkty app.' };
+      }
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { description: 'This chat is already linked to another Afkty account. Send /unlink here first to link a different one.' };
+      }
+      throw error;
+    }
+
+    console.log(`💬 Telegram chat ${chatId} linked`);
+
+    return {
+      title: '✅ Linked to Afkty',
+      description: 'You will get alerts here.\n/status - running sessions\n/ack - acknowledge the current alert\n/stop <number> - stop a session'
+    };
+  }
+
+  async runTelegramCommand(chatId, command, argument) {
+    const integration = await prisma.chatIntegration.findUnique({
+      where: { chatId }
+    });
+
+    if (!integration) {
+      return { description: 'This chat is not linked to Afkty yet. Open Integrations in the app and send /start <code>.' };
+    }
+
+    const { userId } = integration;
+
+    switch (command) {
+      case 'ack':
+        return this.telegramAck(userId, argument);
+
+      case 'status':
+        return this.telegramStatus(userId, chatId);
+
+      case 'stop':
+        return this.telegramStop(userId, chatId, argument);
+
+      case 'unlink':
+        await prisma.chatIntegration.delete({ where: { id: integration.id } });
+        return { description: 'Unlinked. This chat will no longer get Afkty alerts.' };
+
+      default:
+        return { description: 'Commands: /status, /ack [alert], /stop <number>, /unlink' };
+    }
+  }
+
+  /**
+   * /ack [alertId] - the newest unacknowledged alert by default
+   */
+  async telegramAck(userId, alertId) {
+    let id = alertId;
+    if (!id) {
+      const active = await escalationService.getActiveAlert(userId);
+      if (!active) {
+        return { description: 'No active alert to acknowledge.' };
+      }
+      id = active.id;
+    }
+
+    const result = await escalationService.acknowledgeAlert(id, userId);
+    if (!result.success) {
+      return { description: result.error };
+    }
+
+    return {
+      title: '✅ Alert acknowledged',
+      description: truncate(`${result.alert.gameName || 'Unknown Game'}: ${result.alert.reason}`),
+      color: COLORS.info
+    };
+  }
+
+  /**
+   * /status - numbered so /stop can refer to a session by its number
+   * The numbering is stored per chat, so sessions connecting later don't shift it
+   */
+  async telegramStatus(userId, chatId) {
+    const sessions = await sessionService.getActiveSessionsByUser(userId);
+
+    await redisService.setChatSessionList(chatId, sessions.map(session => session.id));
+
+    if (sessions.length === 0) {
+      return { description: 'No sessions running.' };
+    }
+
+    const lines = sessions.map((session, index) => {
+      const minutes = Math.floor((Date.now() - new Date(session.connectedAt).getTime()) / 60000);
+      const uptime = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+      const status = session.currentStatus ? ` - ${truncate(session.currentStatus, 80)}` : '';
+      const recovering = session.status === 'RECOVERING' ? ' (reconnecting)' : '';
+      return `${index + 1}. ${session.gameName || 'Unknown Game'}${status} · ${uptime}${recovering}`;
+    });
+
+    return {
+      title: `🎮 ${sessions.length === 1 ? '1 session' : `${sessions.length} sessions`} running`,
+      description: lines.join('\n')
+    };
+  }
+
+  /**
+   * /stop <number from the last /status | session ID prefix>
+   */
+  async telegramStop(userId, chatId, target) {
+    if (!target) {
+      return { description: 'Usage: /stop <number from /status>' };
+    }
+
+    const sessions = await sessionService.getActiveSessionsByUser(userId);
+    let session;
+
+    if (/^\d+$/.test(target)) {
+      const listed = await redisService.getChatSessionList(chatId);
+      if (!listed) {
+        return { description: 'Send /status first, then /stop <number>.' };
+      }
+
+      const sessionId = listed[Number(target) - 1];
+      session = sessionId && sessions.find(candidate => candidate.id === sessionId);
+    } else {
+      if (target.length < MIN_SESSION_PREFIX) {
+        return { description: `Use the number from /status, or at least ${MIN_SESSION_PREFIX} characters of the session ID.` };
+      }
+
+      const matches = sessions.filter(candidate => candidate.id.startsWith(target));
+      if (matches.length > 1) {
+        return { description: `"${target}" matches ${matches.length} sessions. Use more of the ID.` };
+      }
+      session = matches[0];
+    }
+
+    if (!session) {
+      return { description: `No running session "${target}". Send /status to see them.` };
+    }
+
+    if (!this.commandHandler) {
+      return { description: 'Commands are unavailable right now, try again shortly.' };
+    }
+
+    const { error } = await this.commandHandler(userId, session.id, 'stop');
+    if (error) {
+      return { description: `Could not stop ${session.gameName || 'the session'}: ${error}` };
+    }
+
+    return { description: `⏹ Stop sent to ${session.gameName || 'Unknown Game'}.` };
+  }
+}
+
+export default new ChatService();
@@ -0,0 +1,169 @@
+import prisma from './database.js';
+import config from '../config/index.js';
+
+// An unconfirmed stop only explains a disconnect this soon after it was sent
+const STOP_REQUEST_WINDOW = 600000;
+
+/**
+ * Command Service
+ * Tracks mobile -> SDK commands and correlates them with the script's result
+ */
+
+class CommandService {
+  constructor() {
+    this.timeouts = new Map(); // commandId -> timer (on the instance that sent the command)
+  }
+
+  /**
+   * Record a command before it is sent to the SDK
+   */
+  async createCommand({ sessionId, userId, command, data }) {
+    return prisma.sessionCommand.create({
+      data: {
+        sessionId,
+        userId,
+        command,
+        data: data ?? undefined
+      }
+    });
+  }
+
+  /**
+   * Store the result reported by the SDK
+   * Returns null if the command is unknown or already finished (e.g. timed out)
+   */
+  async completeCommand(commandId, { sessionId, success, payload, error }) {
+    const where = { id: commandId, status: 'PENDING' };
+    if (sessionId) {
+      where.sessionId = sessionId;
+    }
+
+    const result = await prisma.sessionCommand.updateMany({
+      where,
+      data: {
+        status: success ? 'SUCCEEDED' : 'FAILED',
+        success: !!success,
+        result: payload ?? undefined,
+        error: error?.substring(0, 500) || null,
+        completedAt: new Date()
+      }
+    });
+
+    this.clearTimeout(commandId);
+
+    if (result.count === 0) {
+      return null;
+    }
+
+    return prisma.sessionCommand.findUnique({ where: { id: commandId } });
+  }
+
+  /**
+   * Mark a command as timed out
+   * Returns true only if it was still waiting for a result
+   */
+  async expireCommand(commandId) {
+    const result = await prisma.sessionCommand.updateMany({
+      where: { id: commandId, status: 'PENDING' },
+      data: {
+        status: 'TIMEOUT',
+        completedAt: new Date()
+      }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Run onTimeout if the SDK hasn't answered in time
+   */
+  trackTimeout(commandId, onTimeout) {
+    const timer = setTimeout(async () => {
+      this.timeouts.delete(commandId);
+      try {
+        await onTimeout();
+      } catch (error) {
+        console.error(`Failed to expire command ${commandId}:`, error);
+      }
+    }, config.commands.timeout);
+
+    this.timeouts.set(commandId, timer);
+  }
+
+  clearTimeout(commandId) {
+    const timer = this.timeouts.get(commandId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timeouts.delete(commandId);
+    }
+  }
+
+  /**
+   * Whether the user asked this session to stop - the script confirmed it,
+   * or it was sent recently and never refused
+   */
+  async stopRequested(sessionId) {
+    const count = await prisma.sessionCommand.count({
+      where: {
+        sessionId,
+        command: 'stop',
+        OR: [
+          { status: 'SUCCEEDED' },
+          { status: { in: ['PENDING', 'TIMEOUT'] }, sentAt: { gte: new Date(Date.now() - STOP_REQUEST_WINDOW) } }
+        ]
+      }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Time out a session's commands still PENDING well past the timeout
+   * Timers live in memory on the sending instance - a restart loses them
+   * @returns {number} commands expired
+   */
+  async expireStale(sessionId) {
+    const result = await prisma.sessionCommand.updateMany({
+      where: {
+        sessionId,
+        status: 'PENDING',
+        // Twice the timeout, so a live timer gets to fire (and notify the app) first
+        sentAt: { lt: new Date(Date.now() - config.commands.timeout * 2) }
+      },
+      data: {
+        status: 'TIMEOUT',
+        completedAt: new Date()
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Get command history for a session
+   */
+  async getCommandsBySession(sessionId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    await this.expireStale(sessionId);
+
+    return prisma.sessionCommand.findMany({
+      where: { sessionId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+      select: {
+        id: true,
+        command: true,
+        data: true,
+        status: true,
+        success: true,
+        result: true,
+        error: true,
+        sentAt: true,
+        completedAt: true
+      }
+    });
+  }
+}
+
+export default new CommandService();
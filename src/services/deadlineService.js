@@ -0,0 +1,112 @@
+import redisService from './redis.js';
+import sessionService from './sessionService.js';
+import config from '../config/index.js';
+
+/**
+ * Deadline Service
+ * Restart-safe Dead Man's Switch deadlines stored in Redis.
+ * Every instance runs a sweeper; expired deadlines are claimed atomically
+ * so each timeout fires exactly once.
+ */
+
+class DeadlineService {
+  constructor() {
+    this.sweepTimer = null;
+    this.sweeping = false;
+    this.onExpired = null;
+  }
+
+  /**
+   * Set (or push back) a session's deadline
+   */
+  async schedule(sessionId, timeoutMs) {
+    try {
+      await redisService.setDeadline(sessionId, Date.now() + timeoutMs);
+    } catch (error) {
+      console.error(`Failed to schedule deadline for session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove a session's deadline (clean disconnect)
+   */
+  async cancel(sessionId) {
+    try {
+      await redisService.deleteDeadline(sessionId);
+    } catch (error) {
+      console.error(`Failed to cancel deadline for session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Start sweeping for expired deadlines
+   * @param {Function} onExpired - async (sessionId) => void
+   */
+  start(onExpired) {
+    this.onExpired = onExpired;
+
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), config.deadman.sweepInterval);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async sweep() {
+    // Skip if the previous sweep is still firing timeouts
+    if (this.sweeping || !redisService.client?.isReady) return;
+    this.sweeping = true;
+
+    try {
+      const now = Date.now();
+      const due = await redisService.getDueDeadlines(now);
+
+      for (const sessionId of due) {
+        if (!(await redisService.claimDeadline(sessionId, now))) {
+          continue; // Heartbeat arrived or another instance claimed it
+        }
+
+        try {
+          await this.onExpired(sessionId);
+        } catch (error) {
+          console.error(`Failed to handle expired deadline for session ${sessionId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Deadline sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Give every session that was active before a restart a reconnect window
+   * Sessions that don't come back in time raise a normal timeout alert
+   */
+  async restoreAfterRestart() {
+    const sessionIds = await sessionService.getActiveSessionIds();
+    const windowEnd = Date.now() + config.deadman.restartGracePeriod;
+
+    for (const sessionId of sessionIds) {
+      const existing = await redisService.getDeadline(sessionId);
+      if (!existing || existing < windowEnd) {
+        await redisService.setDeadline(sessionId, windowEnd);
+      }
+    }
+
+    if (sessionIds.length > 0) {
+      console.log(`⏳ ${sessionIds.length} session(s) from previous run have ${Math.round(config.deadman.restartGracePeriod / 1000)}s to reconnect`);
+    }
+
+    return sessionIds.length;
+  }
+}
+
+export default new DeadlineService();
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import quietHoursService, { QUIET_HOURS_SELECT } from './quietHoursService.js';
+import config from '../config/index.js';
+
+/**
+ * Deferred Alert Service
+ * Alerts held back by quiet hours are stored instead of dropped, and sent as
+ * one summary push once the user's quiet hours are over.
+ * Rows live in the database, so a restart overnight loses nothing.
+ * Rows that still can't be delivered after config.deferred.maxAge (e.g. the
+ * user never registered a device) are dropped.
+ */
+
+const SWEEP_PAGE_SIZE = 100;
+
+class DeferredAlertService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Hold an alert for the summary
+   */
+  async defer(session, { kind, reason }) {
+    try {
+      return await prisma.deferredAlert.create({
+        data: {
+          userId: session.userId,
+          sessionId: session.id,
+          kind,
+          reason,
+          gameName: session.gameName,
+          lastStatus: session.currentStatus
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to defer alert for session ${session.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // ============================================================================
+  // SCHEDULER
+  // ============================================================================
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), config.deferred.sweepInterval);
+    console.log('✓ Deferred alert scheduler started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const { count: expired } = await prisma.deferredAlert.deleteMany({
+        where: { deliveredAt: null, occurredAt: { lt: new Date(Date.now() - config.deferred.maxAge) } }
+      });
+
+      if (expired > 0) {
+        console.log(`🧹 Dropped ${expired} deferred alerts too old to summarize`);
+      }
+
+      // Page through every user with pending alerts so none waits behind the first page
+      let cursor = null;
+
+      for (;;) {
+        const pending = await prisma.deferredAlert.findMany({
+          where: { deliveredAt: null, ...(cursor && { userId: { gt: cursor } }) },
+          distinct: ['userId'],
+          orderBy: { userId: 'asc' },
+          select: { userId: true },
+          take: SWEEP_PAGE_SIZE
+        });
+
+        for (const { userId } of pending) {
+          try {
+            await this.deliverIfAwake(userId);
+          } catch (error) {
+            console.error(`Failed to deliver quiet hours summary to user ${userId}:`, error.message);
+          }
+        }
+
+        if (pending.length < SWEEP_PAGE_SIZE) break;
+        cursor = pending[pending.length - 1].userId;
+      }
+    } catch (error) {
+      console.error('Deferred alert sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Send the summary once the user's quiet hours are over
+   * Rows are claimed under a summary id first, so only one instance sends them,
+   * and only marked delivered once the push went out
+   */
+  async deliverIfAwake(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: QUIET_HOURS_SELECT
+    });
+
+    if (!user || quietHoursService.isQuietHours(user)) {
+      return null;
+    }
+
+    // Nowhere to send it - leave the rows unclaimed until a device is registered
+    const devices = await deviceService.getUserFcmTokens(userId);
+    if (devices.length === 0) {
+      return null;
+    }
+
+    const summaryId = crypto.randomUUID();
+    const { count } = await prisma.deferredAlert.updateMany({
+      where: {
+        userId,
+        deliveredAt: null,
+        OR: [
+          { claimedAt: null },
+          { claimedAt: { lt: new Date(Date.now() - config.deferred.claimTimeout) } }
+        ]
+      },
+      data: { summaryId, claimedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const alerts = await prisma.deferredAlert.findMany({
+      where: { summaryId },
+      orderBy: { occurredAt: 'asc' }
+    });
+
+    console.log(`🌅 Sending quiet hours summary (${alerts.length} alerts) to user ${userId}`);
+
+    let result;
+    try {
+      result = await deviceService.sendPushToUser(userId, {
+        title: `🌅 ${alerts.length === 1 ? '1 session' : `${alerts.length} sessions`} stopped during quiet hours`,
+        body: this.summarize(alerts, user.timezone),
+        data: {
+          type: 'quiet_hours_summary',
+          summaryId,
+          count: alerts.length.toString()
+        }
+      });
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+
+    if (result.success) {
+      await prisma.deferredAlert.updateMany({
+        where: { summaryId },
+        data: { deliveredAt: new Date() }
+      });
+    } else {
+      // Release the claim - the next sweep tries again
+      console.warn(`⚠️ Quiet hours summary for user ${userId} not delivered (${result.reason || 'all devices failed'})`);
+      await prisma.deferredAlert.updateMany({
+        where: { summaryId, deliveredAt: null },
+        data: { summaryId: null, claimedAt: null }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * One line per alert, e.g. "03:12 Blox Fruits - Farming Zone 1"
+   * Tapping the push opens the same alerts by summaryId (GET /alerts/deferred)
+   */
+  summarize(alerts, timezone) {
+    const time = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    return alerts.map(alert => {
+      const status = alert.lastStatus ? ` - ${alert.lastStatus}` : '';
+      const early = alert.kind === 'early_stop' ? ' (stopped early)' : '';
+      return `${time.format(alert.occurredAt)} ${alert.gameName || 'Unknown Game'}${early}${status}`;
+    }).join('\n');
+  }
+
+  /**
+   * Recent deferred alerts for a user (pending first, then delivered)
+   * @param {string} [summaryId] - only the alerts sent in one summary
+   */
+  async listDeferred(userId, limit = 50, summaryId = null) {
+    return prisma.deferredAlert.findMany({
+      where: { userId, ...(summaryId && { summaryId }) },
+      orderBy: [{ deliveredAt: { sort: 'desc', nulls: 'first' } }, { occurredAt: 'desc' }],
+      take: limit,
+      select: {
+        id: true,
+        sessionId: true,
+        kind: true,
+        reason: true,
+        gameName: true,
+        lastStatus: true,
+        occurredAt: true,
+        summaryId: true,
+        deliveredAt: true
+      }
+    });
+  }
+}
+
+export default new DeferredAlertService();
@@ -1,5 +1,13 @@
+import { Agent, fetch } from 'undici';
 import prisma from './database.js';
 import fcmService from './fcm.js';
+import quietHoursService, { QUIET_HOURS_SELECT } from './quietHoursService.js';
+import { isPublicHost, publicLookup } from '../utils/network.js';
+import config from '../config/index.js';
+
+// User webhooks only connect to public addresses - checked on the address
+// actually dialed, so a DNS answer can't change between check and connect
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
 
 /**
  * Device Service
@@ -120,7 +128,8 @@ class DeviceService {
       },
       select: {
         id: true,
-        fcmToken: true
+        fcmToken: true,
+        platform: true
       }
     });
 
@@ -196,11 +205,34 @@ class DeviceService {
     });
   }
 
+  /**
+   * Whether the user's quiet hours hold back a push of this severity
+   * Fails open - a lookup error must never swallow an alert
+   */
+  async isQuietFor(userId, severity) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: QUIET_HOURS_SELECT
+      });
+      return Boolean(user) && quietHoursService.isMuted(user, severity);
+    } catch (error) {
+      console.error('Failed to check quiet hours:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Send push notification to all user's devices
    * Handles failures and token cleanup
+   * Held back during quiet hours unless `severity` breaks through
    */
-  async sendPushToUser(userId, notification) {
+  async sendPushToUser(userId, notification, { severity = 'info' } = {}) {
+    if (await this.isQuietFor(userId, severity)) {
+      console.log(`🔇 Push held for user ${userId} (quiet hours, ${severity})`);
+      return { success: false, reason: 'QUIET_HOURS' };
+    }
+
     const devices = await this.getUserFcmTokens(userId);
 
     if (devices.length === 0) {
@@ -243,9 +275,19 @@ class DeviceService {
 
   /**
    * Send critical alert to all user's devices
+   * `platforms` limits delivery to those device platforms (e.g. ['web'])
+   * Held back during quiet hours unless the user lets critical alerts break through
    */
-  async sendCriticalAlertToUser(userId, alertData) {
-    const devices = await this.getUserFcmTokens(userId);
+  async sendCriticalAlertToUser(userId, alertData, { platforms, severity = 'critical' } = {}) {
+    if (await this.isQuietFor(userId, severity)) {
+      console.log(`🔇 Alert held for user ${userId} (quiet hours, ${severity})`);
+      return { success: false, reason: 'QUIET_HOURS' };
+    }
+
+    const allDevices = await this.getUserFcmTokens(userId);
+    const devices = platforms
+      ? allDevices.filter(d => platforms.includes(d.platform))
+      : allDevices;
 
     if (devices.length === 0) {
       console.log(`📱 No devices registered for user ${userId}`);
@@ -285,6 +327,162 @@ class DeviceService {
     };
   }
 
+  /**
+   * Tell the user a session is connected but no longer making progress
+   * Distinct from a critical alert - the script is still running
+   */
+  async sendStalledAlertToUser(userId, { sessionId, gameName, currentStatus, stalledMinutes }) {
+    const result = await this.sendPushToUser(userId, {
+      title: '⏸️ Script Stalled',
+      body: `${gameName || 'Your game'} hasn't made progress in ${stalledMinutes} min` +
+        (currentStatus ? ` (stuck on "${currentStatus}")` : ''),
+      data: {
+        type: 'stalled_alert',
+        sessionId,
+        currentStatus: currentStatus || '',
+        stalledMinutes: stalledMinutes.toString()
+      }
+    }, { severity: 'warning' });
+
+    console.log(`⏸️ Stalled alert sent to ${result.successCount || 0}/${result.totalDevices || 0} devices for user ${userId}`);
+    return result;
+  }
+
+  /**
+   * Follow-up for a repeated timeout that joined an open incident
+   * Normal priority - an earlier timeout of the incident already raised the critical alert
+   */
+  async sendIncidentUpdateToUser(userId, { incidentId, sessionId, gameName, count, summary }) {
+    const result = await this.sendPushToUser(userId, {
+      title: '🔁 Disconnected Again',
+      body: `${gameName || 'Your game'}: ${summary}`,
+      data: {
+        type: 'incident_update',
+        incidentId,
+        sessionId,
+        count: count.toString()
+      }
+    }, { severity: 'warning' });
+
+    console.log(`🔁 Incident update sent to ${result.successCount || 0}/${result.totalDevices || 0} devices for user ${userId}`);
+    return result;
+  }
+
+  /**
+   * Normalize a user-supplied webhook URL (https only in production, public hosts only)
+   * @returns {{error: string}|{url: string}}
+   */
+  parseWebhookUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return { error: 'url must be a valid URL' };
+    }
+
+    const allowed = config.nodeEnv === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowed.includes(url.protocol)) {
+      return { error: `url must use ${allowed.join(' or ')}` };
+    }
+
+    if (!config.webhooks.allowPrivateNetworks && !isPublicHost(url.hostname)) {
+      return { error: 'url must point to a public address' };
+    }
+
+    return { url: url.toString() };
+  }
+
+  /**
+   * POST a JSON payload (object or pre-serialized string) to a user-configured webhook
+   * Redirects are not followed - a 3xx counts as a failed delivery
+   */
+  async sendWebhook(url, payload, { userAgent = 'AFKTY-Webhook/1.0', headers = {} } = {}) {
+    const guarded = !config.webhooks.allowPrivateNetworks;
+
+    try {
+      // IP literals are dialed without a lookup, so they're checked here
+      if (guarded && !isPublicHost(new URL(url).hostname)) {
+        return { success: false, reason: 'url must point to a public address' };
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          ...headers
+        },
+        body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.escalation.webhookTimeout),
+        ...(guarded && { dispatcher: publicAgent })
+      });
+
+      // Only the status matters - release the connection
+      await response.body?.cancel();
+
+      return { success: response.ok, status: response.status };
+    } catch (error) {
+      // fetch wraps connection errors (e.g. a refused private address) as "fetch failed"
+      return { success: false, reason: error.cause?.message || error.message };
+    }
+  }
+
+  /**
+   * Tell the user one of their webhook endpoints was switched off for failing
+   */
+  async sendWebhookDisabledToUser(userId, { endpointId, url, failures }) {
+    const result = await this.sendPushToUser(userId, {
+      title: '🪝 Webhook Disabled',
+      body: `${new URL(url).host} failed ${failures} times in a row and was turned off`,
+      data: {
+        type: 'webhook_disabled',
+        endpointId
+      }
+    });
+
+    console.log(`🪝 Webhook disabled notice sent to ${result.successCount || 0}/${result.totalDevices || 0} devices for user ${userId}`);
+    return result;
+  }
+
+  /**
+   * Tell the user a session group is back under its alert threshold
+   */
+  async sendGroupRecoveredToUser(userId, { groupId, name, running, size }) {
+    const result = await this.sendPushToUser(userId, {
+      title: '✅ Group Recovered',
+      body: `${name}: ${running} of ${size} sessions running again`,
+      data: {
+        type: 'group_recovered',
+        groupId,
+        running: running.toString(),
+        size: size.toString()
+      }
+    });
+
+    console.log(`✅ Group recovery sent to ${result.successCount || 0}/${result.totalDevices || 0} devices for user ${userId}`);
+    return result;
+  }
+
+  /**
+   * Tell the user a session is still running past the end its script planned
+   */
+  async sendPlanOverrunToUser(userId, { sessionId, gameName, plannedEndAt, overrunMinutes }) {
+    const result = await this.sendPushToUser(userId, {
+      title: '⏰ Session Overran',
+      body: `${gameName || 'Your game'} is still running ${overrunMinutes} min past its planned end`,
+      data: {
+        type: 'plan_overrun',
+        sessionId,
+        plannedEndAt: plannedEndAt.toISOString(),
+        overrunMinutes: overrunMinutes.toString()
+      }
+    }, { severity: 'warning' });
+
+    console.log(`⏰ Overrun notice sent to ${result.successCount || 0}/${result.totalDevices || 0} devices for user ${userId}`);
+    return result;
+  }
+
   /**
    * Cleanup inactive devices older than X days
    */
@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import prisma from './database.js';
+import redisService from './redis.js';
+import config from '../config/index.js';
+
+/**
+ * Email Service
+ * Sends alert emails over SMTP (HTML and plain text) with a signed link that
+ * acknowledges the alert without logging in.
+ *
+ * Ack token: <alertId>.<expires (unix seconds)>.<base64url HMAC-SHA256 of "<alertId>.<userId>.<expires>">
+ * It is not a JWT, so it can never pass as a login token.
+ *
+ * Nothing but the verification email goes to an address until its owner
+ * opened the link in it, so the server can't be aimed at someone else's inbox.
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * e.g. "2h 14m", "45m", "30s"
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.max(0, Math.floor(ms / 1000))}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(config.email.smtpHost);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass } = config.email;
+      this.transporter = nodemailer.createTransport({
+        host: smtpHost,
+        port: smtpPort,
+        secure: smtpSecure,
+        auth: smtpUser ? { user: smtpUser, pass: smtpPass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send one email
+   * @returns {{success: boolean, messageId?: string, reason?: string}}
+   */
+  async send({ to, subject, text, html }) {
+    if (!this.isConfigured()) {
+      return { success: false, reason: 'EMAIL_NOT_CONFIGURED' };
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({ from: config.email.from, to, subject, text, html });
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+  }
+
+  // ============================================================================
+  // ACKNOWLEDGE LINKS
+  // ============================================================================
+
+  signature(alertId, userId, expires) {
+    return this.hmac(`${alertId}.${userId}.${expires}`);
+  }
+
+  hmac(text) {
+    return crypto.createHmac('sha256', config.email.ackSecret).update(text).digest('base64url');
+  }
+
+  /**
+   * Constant-time comparison of two base64url signatures
+   */
+  signaturesMatch(given, expected) {
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  createAckToken(alert, expiresAt = Date.now() + config.email.ackLinkTtl) {
+    const expires = Math.floor(expiresAt / 1000);
+    return `${alert.id}.${expires}.${this.signature(alert.id, alert.userId, expires)}`;
+  }
+
+  ackUrl(alert) {
+    return `${config.email.publicUrl.replace(/\/$/, '')}/api/v1/alerts/ack/${this.createAckToken(alert)}`;
+  }
+
+  /**
+   * Alert a token was signed for
+   * @returns {object|null} null if the token is malformed, expired or forged
+   */
+  async verifyAckToken(token) {
+    const [alertId, expiresText, signature, extra] = String(token).split('.');
+    const expires = Number(expiresText);
+
+    if (!alertId || !signature || extra !== undefined || !Number.isInteger(expires) || expires * 1000 < Date.now()) {
+      return null;
+    }
+
+    const alert = await prisma.activeAlert.findUnique({ where: { id: alertId } });
+    if (!alert) {
+      return null;
+    }
+
+    if (!this.signaturesMatch(signature, this.signature(alert.id, alert.userId, expires))) {
+      return null;
+    }
+
+    return alert;
+  }
+
+  // ============================================================================
+  // ADDRESS VERIFICATION
+  // ============================================================================
+
+  /**
+   * Count a user-triggered email (test or verification) against their limit
+   * Fails closed - this limit protects other people's inboxes
+   * @returns {{allowed: boolean, retryAfter: number}}
+   */
+  async consumeManualSend(userId) {
+    try {
+      return await redisService.consumeRateLimit(
+        `ratelimit:email:${userId}`,
+        1,
+        config.email.manualSendLimit,
+        config.email.manualSendWindow
+      );
+    } catch (error) {
+      console.error('Email rate limit check failed, refusing to send:', error.message);
+      return { allowed: false, retryAfter: 60000 };
+    }
+  }
+
+  // Signed over the address too, so a link stops working if the address changes
+  verifySignature(userId, email, expires) {
+    return this.hmac(`verify-email.${userId}.${email}.${expires}`);
+  }
+
+  /**
+   * Email a verification link to the account address
+   * @returns {{success: boolean, reason?: string, retryAfter?: number}}
+   */
+  async sendVerification(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, emailVerifiedAt: true }
+    });
+
+    if (!user) {
+      return { success: false, reason: 'USER_NOT_FOUND' };
+    }
+    if (user.emailVerifiedAt) {
+      return { success: false, reason: 'ALREADY_VERIFIED' };
+    }
+
+    const { allowed, retryAfter } = await this.consumeManualSend(userId);
+    if (!allowed) {
+      return { success: false, reason: 'RATE_LIMITED', retryAfter };
+    }
+
+    const expires = Math.floor((Date.now() + config.email.verifyLinkTtl) / 1000);
+    const token = `${userId}.${expires}.${this.verifySignature(userId, user.email, expires)}`;
+    const url = `${config.email.publicUrl.replace(/\/$/, '')}/api/v1/users/verify-email/${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your email for AFKTY alerts',
+      text: `Open this link to receive AFKTY alerts by email:\n${url}\n\nIf you didn't ask for this, ignore this email.`,
+      html: `<p>Open this link to receive AFKTY alerts by email:</p><p><a href="${escapeHtml(url)}">Confirm my email</a></p><p>If you didn't ask for this, ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Mark the address verified from a link
+   * @returns {boolean} false if the token is malformed, expired or forged
+   */
+  async confirmVerification(token) {
+    const [userId, expiresText, signature, extra] = String(token).split('.');
+    const expires = Number(expiresText);
+
+    if (!userId || !signature || extra !== undefined || !Number.isInteger(expires) || expires * 1000 < Date.now()) {
+      return false;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, emailVerifiedAt: true }
+    });
+
+    if (!user || !this.signaturesMatch(signature, this.verifySignature(userId, user.email, expires))) {
+      return false;
+    }
+
+    if (!user.emailVerifiedAt) {
+      await prisma.user.update({
+        where: { id: userId },
+        data: { emailVerifiedAt: new Date() }
+      });
+    }
+
+    return true;
+  }
+
+  // ============================================================================
+  // ALERT EMAILS
+  // ============================================================================
+
+  /**
+   * Subject, text and HTML for an alert
+   * data: { gameName, hubName, lastStatus, duration, reason, ackUrl, alertNumber, maxAlerts }
+   */
+  renderAlert(data) {
+    const repeat = data.alertNumber > 1 ? ` (${data.alertNumber}/${data.maxAlerts})` : '';
+    const subject = `🚨 ${data.gameName} stopped${repeat}`;
+
+    const rows = [
+      ['Game', data.gameName],
+      ['Script', data.hubName || 'Unknown'],
+      ['Last status', data.lastStatus || '-'],
+      ['Ran for', data.duration || '-']
+    ];
+
+    const text = [
+      data.reason,
+      '',
+      ...rows.map(([label, value]) => `${label}: ${value}`),
+      '',
+      `Acknowledge this alert (no login needed): ${data.ackUrl}`,
+      '',
+      'You get these emails because of your AFKTY alert settings.'
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#18181b">
+  <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:12px;padding:24px">
+    <h1 style="margin:0 0 8px;font-size:20px;color:#dc2626">🚨 ${escapeHtml(data.gameName)} stopped${escapeHtml(repeat)}</h1>
+    <p style="margin:0 0 16px;font-size:15px">${escapeHtml(data.reason)}</p>
+    <table style="width:100%;border-collapse:collapse;font-size:14px;margin-bottom:24px">
+${rows.map(([label, value]) => `      <tr><td style="padding:6px 0;color:#71717a;width:110px">${escapeHtml(label)}</td><td style="padding:6px 0">${escapeHtml(value)}</td></tr>`).join('\n')}
+    </table>
+    <a href="${escapeHtml(data.ackUrl)}" style="display:inline-block;background:#dc2626;color:#ffffff;text-decoration:none;padding:12px 20px;border-radius:8px;font-weight:600">Acknowledge alert</a>
+    <p style="margin:24px 0 0;font-size:12px;color:#a1a1aa">You get these emails because of your AFKTY alert settings.</p>
+  </div>
+</body>
+</html>`;
+
+    return { subject, text, html };
+  }
+
+  /**
+   * Email an escalation alert to its owner
+   * @param {object} alert - ActiveAlert row
+   * @param {object} options - { alertNumber, maxAlerts } for repeated sends
+   */
+  async sendAlert(alert, { alertNumber = 1, maxAlerts = alert.maxNotifications } = {}) {
+    const [user, session] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: alert.userId },
+        select: { email: true, emailVerifiedAt: true }
+      }),
+      alert.sessionId
+        ? prisma.session.findUnique({
+          where: { id: alert.sessionId },
+          select: { connectedAt: true, disconnectedAt: true, hub: { select: { name: true } } }
+        })
+        : null
+    ]);
+
+    if (!user?.emailVerifiedAt) {
+      return { success: false, reason: 'EMAIL_NOT_VERIFIED' };
+    }
+
+    const details = alert.details || {};
+    const endedAt = session?.disconnectedAt || alert.startedAt || new Date();
+
+    const message = this.renderAlert({
+      gameName: alert.gameName || 'Unknown Game',
+      hubName: details.hubName || session?.hub?.name,
+      lastStatus: details.lastStatus,
+      duration: session ? formatDuration(new Date(endedAt) - new Date(session.connectedAt)) : null,
+      reason: alert.reason,
+      ackUrl: this.ackUrl(alert),
+      alertNumber,
+      maxAlerts
+    });
+
+    const result = await this.send({ to: user.email, ...message });
+
+    console.log(`📧 Alert email for ${alert.id} to user ${alert.userId}: ${result.success ? 'sent' : `failed (${result.reason})`}`);
+    return result;
+  }
+
+  /**
+   * Email for a new alert when the user turned email alerts on
+   * Never throws - email must not get in the way of alerting
+   */
+  async sendAlertIfEnabled(alert) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: alert.userId },
+        select: { emailAlerts: true }
+      });
+
+      if (!user?.emailAlerts) {
+        return null;
+      }
+
+      return await this.sendAlert(alert);
+    } catch (error) {
+      console.error(`Failed to email alert ${alert.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the SMTP setup with the user's own (verified) address
+   * @returns {{success: boolean, reason?: string, retryAfter?: number}}
+   */
+  async sendTest(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, emailVerifiedAt: true }
+    });
+
+    if (!user) {
+      return { success: false, reason: 'USER_NOT_FOUND' };
+    }
+    if (!user.emailVerifiedAt) {
+      return { success: false, reason: 'EMAIL_NOT_VERIFIED' };
+    }
+
+    const { allowed, retryAfter } = await this.consumeManualSend(userId);
+    if (!allowed) {
+      return { success: false, reason: 'RATE_LIMITED', retryAfter };
+    }
+
+    return this.send({
+      to: user.email,
+      subject: '✅ AFKTY email alerts work',
+      text: 'This is a test email. Alerts for your sessions will arrive like this one.',
+      html: '<p>This is a test email. Alerts for your sessions will arrive like this one.</p>'
+    });
+  }
+}
+
+export default new EmailService();
@@ -0,0 +1,597 @@
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import emailService from './emailService.js';
+import config from '../config/index.js';
+
+/**
+ * Escalation Service
+ * Runs alert escalation policies - ordered steps of (delay, channel, repeat, stop-on-acknowledge).
+ * Alert progress lives in the database and a polling scheduler fires due steps,
+ * so escalations survive restarts and are safe to run on several instances.
+ */
+
+export const CHANNELS = ['push', 'web_push', 'webhook', 'buddy', 'email'];
+
+const STEP_LIMITS = {
+  maxSteps: 10,
+  maxDelay: 24 * 60 * 60 * 1000,  // 24 hours
+  maxRepeat: 100,
+  minInterval: 5000,              // 5 seconds
+  maxInterval: 60 * 60 * 1000     // 1 hour
+};
+
+// Used when the user has no default policy of their own
+export const BUILT_IN_POLICIES = {
+  standard: {
+    name: 'Standard',
+    steps: [
+      { channel: 'push', delay: 0, repeat: 1, interval: 0, stopOnAck: true }
+    ]
+  },
+  // Life or Death Mode - relentless web notifications for ~5 minutes
+  lifeOrDeath: {
+    name: 'Life or Death',
+    steps: [
+      { channel: 'push', delay: 0, repeat: 1, interval: 0, stopOnAck: true },
+      { channel: 'web_push', delay: 10000, repeat: 29, interval: 10000, stopOnAck: true }
+    ]
+  }
+};
+
+class EscalationService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // ============================================================================
+  // ALERTS
+  // ============================================================================
+
+  /**
+   * Start escalating a new alert with the user's default policy
+   * An immediate first step is fired right away; its delivery result is returned
+   */
+  async startEscalation(userId, { sessionId, reason, gameName, details, lifeOrDeathMode }) {
+    const policy = await this.resolvePolicy(userId, lifeOrDeathMode);
+    const steps = policy.steps;
+
+    const alert = await prisma.activeAlert.create({
+      data: {
+        userId,
+        sessionId,
+        reason,
+        gameName,
+        details,
+        policyId: policy.id || null,
+        policyName: policy.name,
+        steps,
+        maxNotifications: steps.reduce((total, step) => total + step.repeat, 0),
+        nextFireAt: new Date(Date.now() + steps[0].delay)
+      }
+    });
+
+    console.log(`[Escalation] Started "${policy.name}" for user ${userId}, alert ${alert.id}`);
+
+    const firstResult = steps[0].delay === 0 ? await this.fireStep(alert) : null;
+
+    // Users with email alerts on get one email per alert, unless the policy emails on its own
+    if (!steps.some(step => step.channel === 'email')) {
+      emailService.sendAlertIfEnabled(alert);
+    }
+
+    return { alert, firstResult };
+  }
+
+  async resolvePolicy(userId, lifeOrDeathMode = false) {
+    const policy = await prisma.escalationPolicy.findFirst({
+      where: { userId, isDefault: true }
+    });
+
+    if (policy) {
+      return policy;
+    }
+
+    return lifeOrDeathMode ? BUILT_IN_POLICIES.lifeOrDeath : BUILT_IN_POLICIES.standard;
+  }
+
+  /**
+   * Acknowledge an alert
+   * Remaining steps that stop on acknowledge are skipped
+   */
+  async acknowledgeAlert(alertId, userId) {
+    // Retry if the scheduler advances the alert between our read and write
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const alert = await prisma.activeAlert.findFirst({
+        where: {
+          id: alertId,
+          userId,
+          acknowledged: false
+        }
+      });
+
+      if (!alert) {
+        return { success: false, error: 'Alert not found or already acknowledged' };
+      }
+
+      const acknowledgedAt = new Date();
+      const { count } = await prisma.activeAlert.updateMany({
+        where: {
+          id: alert.id,
+          acknowledged: false,
+          stepIndex: alert.stepIndex,
+          stepSends: alert.stepSends
+        },
+        data: {
+          acknowledged: true,
+          acknowledgedAt,
+          ...this.stateAfterAcknowledge(alert, acknowledgedAt.getTime())
+        }
+      });
+
+      if (count === 1) {
+        console.log(`[Escalation] Alert ${alertId} acknowledged by user ${userId}`);
+        return { success: true, alert: { ...alert, acknowledged: true, acknowledgedAt } };
+      }
+    }
+
+    return { success: false, error: 'Alert is changing, try again' };
+  }
+
+  /**
+   * Get active alert for a user
+   */
+  async getActiveAlert(userId) {
+    return prisma.activeAlert.findFirst({
+      where: {
+        userId,
+        acknowledged: false
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+  }
+
+  // ============================================================================
+  // SCHEDULER
+  // ============================================================================
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), config.escalation.pollInterval);
+    console.log('✓ Escalation scheduler started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const due = await prisma.activeAlert.findMany({
+        where: {
+          completedAt: null,
+          nextFireAt: { lte: new Date() }
+        },
+        orderBy: { nextFireAt: 'asc' },
+        take: 50
+      });
+
+      for (const alert of due) {
+        await this.fireStep(alert);
+      }
+    } catch (error) {
+      console.error('[Escalation] Sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Fire the current step of a due alert and schedule what comes next
+   * The conditional update is the claim - each send happens on exactly one instance
+   * @returns {object|null} delivery result, or null if nothing was sent
+   */
+  async fireStep(alert) {
+    const now = Date.now();
+    const step = alert.steps[alert.stepIndex];
+
+    // Steps that were due long ago (server was down) would only be noise now
+    const stale = alert.nextFireAt && now - alert.nextFireAt.getTime() > config.escalation.staleAfter;
+
+    const next = step && !stale
+      ? this.nextState(alert.steps, alert.stepIndex, alert.stepSends + 1, now)
+      : { nextFireAt: null, completedAt: new Date(now) };
+
+    const { count } = await prisma.activeAlert.updateMany({
+      where: {
+        id: alert.id,
+        completedAt: null,
+        stepIndex: alert.stepIndex,
+        stepSends: alert.stepSends,
+        nextFireAt: alert.nextFireAt
+      },
+      data: step && !stale
+        ? { ...next, notificationsSent: { increment: 1 } }
+        : next
+    });
+
+    if (count === 0 || !step || stale) {
+      if (stale && count === 1) {
+        console.log(`[Escalation] Alert ${alert.id} is stale, closing without sending`);
+      }
+      return null;
+    }
+
+    return this.deliver(step, alert, alert.notificationsSent + 1);
+  }
+
+  /**
+   * Position after a send: repeat the step, move to the next one, or finish
+   */
+  nextState(steps, stepIndex, stepSends, now) {
+    const step = steps[stepIndex];
+
+    if (stepSends < step.repeat) {
+      return { stepIndex, stepSends, nextFireAt: new Date(now + step.interval) };
+    }
+
+    const nextStep = steps[stepIndex + 1];
+    if (nextStep) {
+      return { stepIndex: stepIndex + 1, stepSends: 0, nextFireAt: new Date(now + nextStep.delay) };
+    }
+
+    return { stepIndex, stepSends, nextFireAt: null, completedAt: new Date(now) };
+  }
+
+  /**
+   * Position after acknowledgement: jump to the next step that keeps running
+   */
+  stateAfterAcknowledge(alert, now) {
+    if (alert.completedAt) return {};
+
+    const current = alert.steps[alert.stepIndex];
+    if (current && current.stopOnAck === false) {
+      return {};
+    }
+
+    const nextIndex = alert.steps.findIndex((step, index) => index > alert.stepIndex && step.stopOnAck === false);
+    if (nextIndex === -1) {
+      return { nextFireAt: null, completedAt: new Date(now) };
+    }
+
+    return {
+      stepIndex: nextIndex,
+      stepSends: 0,
+      nextFireAt: new Date(now + alert.steps[nextIndex].delay)
+    };
+  }
+
+  // ============================================================================
+  // CHANNELS
+  // ============================================================================
+
+  async deliver(step, alert, sendNumber) {
+    const details = alert.details || {};
+    const alertData = {
+      sessionId: alert.sessionId,
+      gameName: alert.gameName || 'Unknown Game',
+      hubName: details.hubName,
+      reason: sendNumber > 1
+        ? `🚨 ALERT ${sendNumber}/${alert.maxNotifications}: ${alert.reason}`
+        : alert.reason,
+      lastStatus: details.lastStatus,
+      alertSound: details.alertSound,
+      // Unique ID per send so browsers don't collapse repeats
+      notificationId: `esc-${alert.id}-${sendNumber}`,
+      alertNumber: sendNumber,
+      maxAlerts: alert.maxNotifications,
+      isLifeOrDeath: sendNumber > 1
+    };
+
+    let result;
+    try {
+      switch (step.channel) {
+        case 'push':
+          result = await deviceService.sendCriticalAlertToUser(alert.userId, alertData);
+          break;
+
+        case 'web_push':
+          result = await deviceService.sendCriticalAlertToUser(alert.userId, alertData, { platforms: ['web'] });
+          break;
+
+        case 'webhook':
+          result = await deviceService.sendWebhook(step.url, {
+            event: 'alert.escalation',
+            alertId: alert.id,
+            sessionId: alert.sessionId,
+            reason: alert.reason,
+            gameName: alert.gameName,
+            step: alert.stepIndex + 1,
+            alertNumber: sendNumber,
+            startedAt: alert.startedAt,
+            timestamp: Date.now()
+          }, { userAgent: 'AFKTY-Escalation/1.0' });
+          break;
+
+        case 'buddy':
+          result = await this.notifyBuddy(step.buddyUserId, alert, alertData);
+          break;
+
+        case 'email':
+          result = await emailService.sendAlert(alert, { alertNumber: sendNumber, maxAlerts: alert.maxNotifications });
+          break;
+
+        default:
+          result = { success: false, reason: `Unknown channel: ${step.channel}` };
+      }
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+
+    console.log(`[Escalation] Alert ${alert.id} step ${alert.stepIndex + 1} (${step.channel}) send ${sendNumber}/${alert.maxNotifications}: ${result.success ? 'ok' : 'failed'}`);
+
+    return result;
+  }
+
+  async notifyBuddy(buddyUserId, alert, alertData) {
+    // The buddy may have removed the link since the policy was saved
+    const link = await prisma.buddyLink.findFirst({
+      where: { ownerId: alert.userId, buddyId: buddyUserId, acceptedAt: { not: null } },
+      select: { id: true }
+    });
+
+    if (!link) {
+      return { success: false, reason: 'BUDDY_REMOVED' };
+    }
+
+    const owner = await prisma.user.findUnique({
+      where: { id: alert.userId },
+      select: { username: true }
+    });
+
+    return deviceService.sendCriticalAlertToUser(buddyUserId, {
+      ...alertData,
+      reason: `${owner?.username || 'Your buddy'}: ${alertData.reason}`
+    });
+  }
+
+  // ============================================================================
+  // BUDDIES
+  // ============================================================================
+
+  /**
+   * Ask another account to be paged by this user's escalations
+   * Gives the same result whether or not the email is registered
+   */
+  async inviteBuddy(userId, email) {
+    const buddy = await prisma.user.findUnique({
+      where: { email: email.toLowerCase().trim() },
+      select: { id: true, status: true }
+    });
+
+    if (!buddy || buddy.status !== 'ACTIVE' || buddy.id === userId) {
+      return;
+    }
+
+    const existing = await prisma.buddyLink.findUnique({
+      where: { ownerId_buddyId: { ownerId: userId, buddyId: buddy.id } }
+    });
+    if (existing) {
+      return;
+    }
+
+    try {
+      const link = await prisma.buddyLink.create({
+        data: { ownerId: userId, buddyId: buddy.id },
+        include: { owner: { select: { username: true } } }
+      });
+
+      await deviceService.sendPushToUser(buddy.id, {
+        title: '👥 Buddy Request',
+        body: `${link.owner.username} wants you as their alert buddy. Open AFKTY to accept.`,
+        data: { type: 'buddy_invite', inviteId: link.id }
+      });
+    } catch (error) {
+      // Invited twice at the same moment
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  /**
+   * Buddies the user invited, and invites the user received
+   */
+  async listBuddies(userId) {
+    const [buddies, invites] = await Promise.all([
+      prisma.buddyLink.findMany({
+        where: { ownerId: userId },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, acceptedAt: true, createdAt: true, buddy: { select: { email: true, username: true } } }
+      }),
+      prisma.buddyLink.findMany({
+        where: { buddyId: userId },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, acceptedAt: true, createdAt: true, owner: { select: { username: true } } }
+      })
+    ]);
+
+    return { buddies, invites };
+  }
+
+  /**
+   * The invited user agrees to be paged
+   */
+  async acceptBuddy(userId, linkId) {
+    const { count } = await prisma.buddyLink.updateMany({
+      where: { id: linkId, buddyId: userId, acceptedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Either side ends the link (declining an invite, or stopping being a buddy)
+   * Policy steps for it stop sending right away
+   */
+  async removeBuddy(userId, linkId) {
+    const result = await prisma.buddyLink.deleteMany({
+      where: { id: linkId, OR: [{ ownerId: userId }, { buddyId: userId }] }
+    });
+    return result.count > 0;
+  }
+
+  // ============================================================================
+  // POLICIES
+  // ============================================================================
+
+  async listPolicies(userId) {
+    return prisma.escalationPolicy.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Validate and normalize policy steps
+   * @returns {{steps?: Array, error?: string}}
+   */
+  async validateSteps(userId, steps) {
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > STEP_LIMITS.maxSteps) {
+      return { error: `steps must be an array of 1-${STEP_LIMITS.maxSteps} steps` };
+    }
+
+    const normalized = [];
+
+    for (const [index, step] of steps.entries()) {
+      const label = `Step ${index + 1}`;
+
+      if (!step || typeof step !== 'object') {
+        return { error: `${label} must be an object` };
+      }
+
+      if (!CHANNELS.includes(step.channel)) {
+        return { error: `${label}: channel must be one of: ${CHANNELS.join(', ')}` };
+      }
+
+      const delay = step.delay ?? 0;
+      if (!Number.isInteger(delay) || delay < 0 || delay > STEP_LIMITS.maxDelay) {
+        return { error: `${label}: delay must be between 0 and ${STEP_LIMITS.maxDelay} ms` };
+      }
+
+      const repeat = step.repeat ?? 1;
+      if (!Number.isInteger(repeat) || repeat < 1 || repeat > STEP_LIMITS.maxRepeat) {
+        return { error: `${label}: repeat must be between 1 and ${STEP_LIMITS.maxRepeat}` };
+      }
+
+      const interval = repeat > 1 ? step.interval : 0;
+      if (repeat > 1 && (!Number.isInteger(interval) || interval < STEP_LIMITS.minInterval || interval > STEP_LIMITS.maxInterval)) {
+        return { error: `${label}: interval must be between ${STEP_LIMITS.minInterval} and ${STEP_LIMITS.maxInterval} ms` };
+      }
+
+      if (step.stopOnAck !== undefined && typeof step.stopOnAck !== 'boolean') {
+        return { error: `${label}: stopOnAck must be a boolean` };
+      }
+
+      const entry = { channel: step.channel, delay, repeat, interval, stopOnAck: step.stopOnAck ?? true };
+
+      if (step.channel === 'webhook') {
+        const { error, url } = deviceService.parseWebhookUrl(step.url);
+        if (error) {
+          return { error: `${label}: ${error}` };
+        }
+        entry.url = url;
+      }
+
+      if (step.channel === 'email') {
+        const owner = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { emailVerifiedAt: true }
+        });
+        if (!owner?.emailVerifiedAt) {
+          return { error: `${label}: verify your email address before adding email steps` };
+        }
+        if (repeat > 1 && interval < config.email.minRepeatInterval) {
+          return { error: `${label}: email steps can repeat at most every ${config.email.minRepeatInterval} ms` };
+        }
+      }
+
+      if (step.channel === 'buddy') {
+        const link = typeof step.buddyEmail === 'string'
+          ? await prisma.buddyLink.findFirst({
+            where: {
+              ownerId: userId,
+              acceptedAt: { not: null },
+              buddy: { email: step.buddyEmail.toLowerCase().trim(), status: 'ACTIVE' }
+            },
+            select: { buddy: { select: { id: true, email: true } } }
+          })
+          : null;
+
+        // Same error whether or not the account exists - this must not reveal registered emails
+        if (!link) {
+          return { error: `${label}: buddyEmail must be a buddy who accepted your invite` };
+        }
+        entry.buddyUserId = link.buddy.id;
+        entry.buddyEmail = link.buddy.email;
+      }
+
+      normalized.push(entry);
+    }
+
+    return { steps: normalized };
+  }
+
+  async createPolicy(userId, { name, steps, isDefault = false }) {
+    return prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.escalationPolicy.updateMany({ where: { userId }, data: { isDefault: false } });
+      }
+
+      return tx.escalationPolicy.create({
+        data: { userId, name, steps, isDefault }
+      });
+    });
+  }
+
+  /**
+   * Update a policy (running alerts keep the steps they started with)
+   * @returns {object|null} null if the policy doesn't exist
+   */
+  async updatePolicy(userId, policyId, { name, steps, isDefault }) {
+    const existing = await prisma.escalationPolicy.findFirst({
+      where: { id: policyId, userId }
+    });
+
+    if (!existing) {
+      return null;
+    }
+
+    return prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.escalationPolicy.updateMany({ where: { userId }, data: { isDefault: false } });
+      }
+
+      return tx.escalationPolicy.update({
+        where: { id: policyId },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(steps !== undefined && { steps }),
+          ...(isDefault !== undefined && { isDefault })
+        }
+      });
+    });
+  }
+
+  async deletePolicy(userId, policyId) {
+    const result = await prisma.escalationPolicy.deleteMany({
+      where: { id: policyId, userId }
+    });
+    return result.count > 0;
+  }
+}
+
+export default new EscalationService();
@@ -0,0 +1,162 @@
+import { v4 as uuidv4 } from 'uuid';
+import redisService from './redis.js';
+
+/**
+ * Event Bus
+ * Cross-instance messaging over Redis pub/sub, so WebSocket events reach
+ * whichever server instance holds the target socket
+ */
+
+const CHANNELS = {
+  mobile: 'afkty:events:mobile',                          // Broadcast - every instance delivers to its own mobile sockets
+  node: (instanceId) => `afkty:events:node:${instanceId}` // Direct - a single instance
+};
+
+class EventBus {
+  constructor() {
+    this.instanceId = uuidv4();
+    this.subscriber = null;
+    this.handlers = new Map(); // event kind -> handler
+  }
+
+  /**
+   * Subscribe to the broadcast channel and this instance's direct channel
+   * Uses a duplicate connection - a subscribed Redis client can't run commands
+   */
+  async initialize() {
+    try {
+      this.subscriber = redisService.client.duplicate();
+      this.subscriber.on('error', (err) => console.error('Redis Subscriber Error:', err));
+      await this.subscriber.connect();
+
+      await this.subscriber.subscribe(CHANNELS.mobile, (raw) => this.dispatch(raw));
+      await this.subscriber.subscribe(CHANNELS.node(this.instanceId), (raw) => this.dispatch(raw));
+
+      console.log(`✓ Event bus ready (instance ${this.instanceId.substring(0, 8)})`);
+    } catch (error) {
+      console.error('Failed to initialize event bus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the handler for an event kind
+   */
+  on(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  dispatch(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (error) {
+      console.error('Event bus received invalid payload');
+      return;
+    }
+
+    // Our own broadcasts were already delivered locally
+    if (event.origin === this.instanceId) return;
+
+    const handler = this.handlers.get(event.kind);
+    if (!handler) return;
+
+    Promise.resolve(handler(event.payload, event.origin)).catch((error) => {
+      console.error(`Event bus handler failed (${event.kind}):`, error);
+    });
+  }
+
+  /**
+   * @returns {number|null} instances that received it, null if it couldn't be published
+   */
+  async publish(channel, kind, payload) {
+    if (!redisService.client?.isReady) {
+      return null;
+    }
+
+    try {
+      return await redisService.client.publish(channel, JSON.stringify({
+        origin: this.instanceId,
+        kind,
+        payload
+      }));
+    } catch (error) {
+      console.error('Event bus publish failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fan a mobile event out to every other instance
+   */
+  async broadcastToMobile(userId, data) {
+    return (await this.publish(CHANNELS.mobile, 'mobile_event', { userId, data })) !== null;
+  }
+
+  /**
+   * Send an event to one specific instance
+   * @returns {boolean} false if that instance isn't listening (e.g. it crashed)
+   */
+  async sendToNode(instanceId, kind, payload) {
+    return (await this.publish(CHANNELS.node(instanceId), kind, payload)) > 0;
+  }
+
+  // ============================================================================
+  // SESSION OWNERSHIP
+  // ============================================================================
+
+  /**
+   * Record this instance as the holder of a session's SDK socket
+   * Returns the previous owner (if any) so it can release the session
+   */
+  async claimSession(sessionId) {
+    try {
+      const previousOwner = await redisService.swapSessionOwner(sessionId, this.instanceId);
+      return previousOwner && previousOwner !== this.instanceId ? previousOwner : null;
+    } catch (error) {
+      console.error('Failed to claim session:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the ownership of a long-running session from expiring
+   */
+  async refreshSession(sessionId) {
+    try {
+      return await redisService.refreshSessionOwner(sessionId, this.instanceId);
+    } catch (error) {
+      console.error('Failed to refresh session owner:', error.message);
+      return false;
+    }
+  }
+
+  async getSessionOwner(sessionId) {
+    try {
+      return await redisService.getSessionOwner(sessionId);
+    } catch (error) {
+      console.error('Failed to look up session owner:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Release a session - only if this instance still owns it
+   */
+  async releaseSession(sessionId) {
+    try {
+      await redisService.releaseSessionOwner(sessionId, this.instanceId);
+    } catch (error) {
+      console.error('Failed to release session:', error.message);
+    }
+  }
+
+  async shutdown() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+}
+
+export default new EventBus();
@@ -1,5 +1,6 @@
 import prisma from './database.js';
 import crypto from 'crypto';
+import { LIVE_STATUSES } from './sessionService.js';
 
 /**
  * Hub Service
@@ -155,11 +156,11 @@ class HubService {
    * Suspend a hub
    */
   async suspendHub(hubId, reason) {
-    // Also disconnect all active sessions from this hub
+    // Also disconnect all live sessions from this hub
     await prisma.session.updateMany({
       where: { 
         hubId,
-        status: 'ACTIVE'
+        status: { in: LIVE_STATUSES }
       },
       data: {
         status: 'DISCONNECTED',
@@ -257,7 +258,7 @@ class HubService {
   async getHubStats(hubId) {
     const [hub, activeSessions, totalSessions] = await Promise.all([
       prisma.hub.findUnique({ where: { id: hubId } }),
-      prisma.session.count({ where: { hubId, status: 'ACTIVE' } }),
+      prisma.session.count({ where: { hubId, status: { in: LIVE_STATUSES } } }),
       prisma.session.count({ where: { hubId } })
     ]);
 
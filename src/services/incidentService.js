@@ -0,0 +1,174 @@
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import config from '../config/index.js';
+
+/**
+ * Incident Service
+ * Collapses repeated timeouts of the same user + place (a crash loop, a
+ * reconnect storm) into one incident: the first timeout that isn't muted
+ * escalates as usual, later ones only bump a counter and send a throttled
+ * follow-up push.
+ */
+
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
+}
+
+class IncidentService {
+  /**
+   * What makes two timeouts "the same"
+   * Place beats job - a crash-looping rejoin lands on a new job each time
+   */
+  correlationKey(session) {
+    if (session.gamePlaceId) return `place:${session.gamePlaceId}`;
+    if (session.gameJobId) return `job:${session.gameJobId}`;
+    return `game:${session.gameName || 'unknown'}`;
+  }
+
+  /**
+   * Record a timeout, joining the open incident for its key or opening a new one
+   * Fails open - without an incident the timeout alerts like before
+   * @returns {object|null} the incident (count 1 = first timeout)
+   */
+  async recordTimeout(session) {
+    const key = this.correlationKey(session);
+    const openKey = `${session.userId}:${key}`;
+
+    try {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const now = new Date();
+        const open = await prisma.incident.findUnique({ where: { openKey } });
+
+        if (open && now.getTime() - open.lastAt.getTime() <= config.incidents.window) {
+          return await prisma.incident.update({
+            where: { id: open.id },
+            data: { count: { increment: 1 }, lastAt: now }
+          });
+        }
+
+        if (open) {
+          // Quiet for a full window - retire it so the key can start a new incident
+          await prisma.incident.updateMany({
+            where: { id: open.id, openKey },
+            data: { openKey: null }
+          });
+        }
+
+        try {
+          return await prisma.incident.create({
+            data: {
+              userId: session.userId,
+              key,
+              openKey,
+              gameName: session.gameName,
+              firstAt: now,
+              lastAt: now
+            }
+          });
+        } catch (error) {
+          // Another instance opened it first - join theirs on the next pass
+          if (error.code !== 'P2002') throw error;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to record incident for session ${session.id}:`, error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Claim the incident's escalation for an unmuted timeout
+   * Fails open - a timeout that can't tell escalates
+   * @returns {boolean} true if this timeout should escalate
+   */
+  async claimEscalation(incident) {
+    try {
+      const { count } = await prisma.incident.updateMany({
+        where: { id: incident.id, escalatedAt: null },
+        data: { escalatedAt: new Date() }
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Failed to claim escalation for incident ${incident.id}:`, error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Link the escalation started by an incident's first unmuted timeout
+   */
+  async attachAlert(incidentId, alertId) {
+    return prisma.incident.update({
+      where: { id: incidentId },
+      data: { alertId }
+    });
+  }
+
+  /**
+   * Push "3rd disconnect in 10 minutes" for a repeat timeout
+   * Throttled per incident; the claim keeps concurrent repeats to one push
+   * @returns {object|null} delivery result, or null if throttled
+   */
+  async followUp(incident, session) {
+    const now = Date.now();
+
+    const { count } = await prisma.incident.updateMany({
+      where: {
+        id: incident.id,
+        OR: [
+          { lastFollowUpAt: null },
+          { lastFollowUpAt: { lte: new Date(now - config.incidents.followUpInterval) } }
+        ]
+      },
+      data: { lastFollowUpAt: new Date(now) }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return deviceService.sendIncidentUpdateToUser(session.userId, {
+      incidentId: incident.id,
+      sessionId: session.id,
+      gameName: session.gameName,
+      count: incident.count,
+      summary: this.describe(incident)
+    });
+  }
+
+  /**
+   * e.g. "3rd disconnect in 10 minutes"
+   */
+  describe(incident) {
+    const minutes = Math.max(1, Math.ceil((incident.lastAt.getTime() - incident.firstAt.getTime()) / 60000));
+    return `${ordinal(incident.count)} disconnect in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Recent incidents for a user, newest first
+   */
+  async listIncidents(userId, limit = 20) {
+    return prisma.incident.findMany({
+      where: { userId },
+      orderBy: { lastAt: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        key: true,
+        gameName: true,
+        count: true,
+        firstAt: true,
+        lastAt: true,
+        alertId: true,
+        sessions: {
+          select: { id: true, incidentSequence: true, disconnectedAt: true },
+          orderBy: { incidentSequence: 'asc' }
+        }
+      }
+    });
+  }
+}
+
+export default new IncidentService();
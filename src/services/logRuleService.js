@@ -0,0 +1,371 @@
+import { RE2 } from 're2-wasm';
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import sessionService from './sessionService.js';
+import snoozeService from './snoozeService.js';
+import config from '../config/index.js';
+
+/**
+ * Log Rule Service
+ * User-defined alerts on what scripts log or show as status ("Banned",
+ * "Rare item dropped"), so users don't depend on the hub calling Afkty:Alert.
+ * Rules are cached per instance; a conditional update claims each firing,
+ * so the cooldown holds across instances.
+ * Patterns run on RE2, which matches in linear time - a user's regex can't
+ * stall the event loop (no backreferences or lookarounds).
+ */
+
+export const RULE_ACTIONS = ['push', 'critical', 'webhook'];
+export const RULE_SOURCES = ['log', 'status', 'any'];
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_PATTERN_LENGTH = 200;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class LogRuleService {
+  constructor() {
+    this.cache = new Map(); // userId -> { rules, expiresAt }
+  }
+
+  /**
+   * Validate the fields given in a rule body
+   * @returns {{error: string}|{data: object}}
+   */
+  parseRule(body, { partial = false } = {}) {
+    const { name, enabled, pattern, isRegex, matchCase, source, levels, hubId, placeId, action, webhookUrl, cooldown } = body;
+    const data = {};
+
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+        return { error: 'name is required (max 50 characters)' };
+      }
+      data.name = name.trim();
+    }
+
+    if (pattern !== undefined || !partial) {
+      if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `pattern is required (max ${MAX_PATTERN_LENGTH} characters)` };
+      }
+      data.pattern = pattern;
+    }
+
+    for (const [field, value] of [['enabled', enabled], ['isRegex', isRegex], ['matchCase', matchCase]]) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') {
+        return { error: `${field} must be a boolean` };
+      }
+      data[field] = value;
+    }
+
+    if (source !== undefined) {
+      if (!RULE_SOURCES.includes(source)) {
+        return { error: `source must be one of: ${RULE_SOURCES.join(', ')}` };
+      }
+      data.source = source;
+    }
+
+    if (levels !== undefined) {
+      const list = levels === null ? [] : levels;
+      if (!Array.isArray(list) || list.some(level => !LEVELS.includes(String(level).toLowerCase()))) {
+        return { error: `levels must be an array of: ${LEVELS.join(', ')}` };
+      }
+      data.levels = [...new Set(list.map(level => level.toLowerCase()))];
+    }
+
+    for (const [field, value] of [['hubId', hubId], ['placeId', placeId]]) {
+      if (value === undefined) continue;
+      if (value !== null && (typeof value !== 'string' && typeof value !== 'number')) {
+        return { error: `${field} must be a string` };
+      }
+      data[field] = value !== null ? String(value) : null;
+    }
+
+    if (action !== undefined || !partial) {
+      if (!RULE_ACTIONS.includes(action)) {
+        return { error: `action must be one of: ${RULE_ACTIONS.join(', ')}` };
+      }
+      data.action = action;
+    }
+
+    if (webhookUrl !== undefined) {
+      if (webhookUrl === null) {
+        data.webhookUrl = null;
+      } else {
+        const { error, url } = deviceService.parseWebhookUrl(webhookUrl);
+        if (error) {
+          return { error: `webhookUrl: ${error}` };
+        }
+        data.webhookUrl = url;
+      }
+    }
+
+    if (cooldown !== undefined) {
+      if (!Number.isInteger(cooldown) || cooldown < config.logRules.minCooldown || cooldown > 86400000) {
+        return { error: `cooldown must be between ${config.logRules.minCooldown} and 86400000 ms` };
+      }
+      data.cooldown = cooldown;
+    }
+
+    return { data };
+  }
+
+  /**
+   * Checks that span fields - run on the rule as it will be saved
+   * @returns {string|null} error
+   */
+  checkRule(rule) {
+    if (rule.action === 'webhook' && !rule.webhookUrl) {
+      return 'webhookUrl is required for webhook rules';
+    }
+
+    if (rule.isRegex) {
+      try {
+        new RE2(rule.pattern, 'u');
+      } catch (error) {
+        return `pattern is not a valid RE2 regular expression (no lookarounds or backreferences): ${error.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * RE2 matcher for a rule - substring patterns are escaped
+   */
+  compile(rule) {
+    const source = rule.isRegex ? rule.pattern : escapeRegex(rule.pattern);
+    return new RE2(source, rule.matchCase ? 'u' : 'iu');
+  }
+
+  // ============================================================================
+  // MANAGEMENT
+  // ============================================================================
+
+  async listRules(userId) {
+    return prisma.logAlertRule.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * @returns {{error: string}|{rule: object}}
+   */
+  async createRule(userId, data) {
+    const rule = {
+      isRegex: false,
+      matchCase: false,
+      source: 'any',
+      levels: [],
+      cooldown: config.logRules.defaultCooldown,
+      ...data
+    };
+
+    const error = this.checkRule(rule);
+    if (error) {
+      return { error };
+    }
+
+    const count = await prisma.logAlertRule.count({ where: { userId } });
+    if (count >= config.logRules.maxRules) {
+      return { error: `You can have at most ${config.logRules.maxRules} rules` };
+    }
+
+    const created = await prisma.logAlertRule.create({
+      data: { userId, ...rule }
+    });
+
+    this.cache.delete(userId);
+    return { rule: created };
+  }
+
+  /**
+   * @returns {{error: string}|{rule: object}|null} null if the rule doesn't exist
+   */
+  async updateRule(userId, ruleId, data) {
+    const existing = await prisma.logAlertRule.findFirst({
+      where: { id: ruleId, userId }
+    });
+
+    if (!existing) {
+      return null;
+    }
+
+    const error = this.checkRule({ ...existing, ...data });
+    if (error) {
+      return { error };
+    }
+
+    const rule = await prisma.logAlertRule.update({
+      where: { id: ruleId },
+      data
+    });
+
+    this.cache.delete(userId);
+    return { rule };
+  }
+
+  async deleteRule(userId, ruleId) {
+    const result = await prisma.logAlertRule.deleteMany({
+      where: { id: ruleId, userId }
+    });
+
+    this.cache.delete(userId);
+    return result.count > 0;
+  }
+
+  // ============================================================================
+  // MATCHING
+  // ============================================================================
+
+  /**
+   * A user's enabled rules, compiled
+   * Cached per instance; edits reach other instances within cacheTtl
+   */
+  async getRules(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    const rows = await prisma.logAlertRule.findMany({
+      where: { userId, enabled: true }
+    });
+
+    const rules = [];
+    for (const rule of rows) {
+      let regex;
+      try {
+        regex = this.compile(rule);
+      } catch (error) {
+        // Saved before patterns ran on RE2 - skip it rather than every rule of the user
+        console.warn(`Skipping log rule ${rule.id}: ${error.message}`);
+        continue;
+      }
+
+      rules.push({
+        ...rule,
+        regex,
+        levels: Array.isArray(rule.levels) ? rule.levels : [],
+        cooldownUntil: rule.lastFiredAt ? rule.lastFiredAt.getTime() + rule.cooldown : 0
+      });
+    }
+
+    this.cache.set(userId, { rules, expiresAt: Date.now() + config.logRules.cacheTtl });
+    return rules;
+  }
+
+  matches(rule, { hubId, placeId }, { source, level, text }) {
+    if (rule.source !== 'any' && rule.source !== source) return false;
+    if (rule.levels.length > 0 && !rule.levels.includes(level?.toLowerCase())) return false;
+    if (rule.hubId && rule.hubId !== hubId) return false;
+    if (rule.placeId && rule.placeId !== placeId) return false;
+    return rule.regex.test(text);
+  }
+
+  /**
+   * Run a user's rules over log lines or status text
+   * Never throws - rules must not get in the way of log ingestion
+   * @param {object} context - { userId, sessionId, hubId, placeId }
+   * @param {Array} entries - [{ source: 'log'|'status', level, text }]
+   */
+  async evaluate(context, entries) {
+    try {
+      const rules = await this.getRules(context.userId);
+      if (rules.length === 0) return;
+
+      for (const entry of entries) {
+        if (typeof entry.text !== 'string' || entry.text.length === 0) continue;
+
+        for (const rule of rules) {
+          await this.tryFire(rule, context, entry);
+        }
+      }
+    } catch (error) {
+      console.error(`Log rule evaluation failed for user ${context.userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Fire a rule if it matches and is out of its cooldown
+   */
+  async tryFire(rule, context, entry) {
+    const now = Date.now();
+    if (rule.cooldownUntil > now || !this.matches(rule, context, entry)) return;
+
+    // Cool down locally first so a burst of matching lines doesn't hit the database
+    rule.cooldownUntil = now + rule.cooldown;
+
+    const { count } = await prisma.logAlertRule.updateMany({
+      where: {
+        id: rule.id,
+        enabled: true,
+        OR: [
+          { lastFiredAt: null },
+          { lastFiredAt: { lte: new Date(now - rule.cooldown) } }
+        ]
+      },
+      data: { lastFiredAt: new Date(now), fireCount: { increment: 1 } }
+    });
+
+    if (count === 1) {
+      await this.fire(rule, context, entry);
+    }
+  }
+
+  async fire(rule, context, { source, level, text }) {
+    const session = await sessionService.getSessionById(context.sessionId);
+    const gameName = session?.gameName || 'Unknown Game';
+
+    console.log(`🔎 Rule "${rule.name}" matched for user ${context.userId} (${rule.action})`);
+
+    if (rule.action === 'webhook') {
+      return deviceService.sendWebhook(rule.webhookUrl, {
+        event: 'log_rule.matched',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        sessionId: context.sessionId,
+        gameName,
+        source,
+        level: level || null,
+        text,
+        timestamp: Date.now()
+      });
+    }
+
+    const snooze = await snoozeService.findSnooze(context.userId, {
+      sessionId: context.sessionId,
+      placeId: context.placeId
+    });
+    if (snooze) {
+      console.log(`🔕 Rule push skipped (snoozed): ${rule.name}`);
+      return null;
+    }
+
+    if (rule.action === 'critical') {
+      return deviceService.sendCriticalAlertToUser(context.userId, {
+        sessionId: context.sessionId,
+        gameName,
+        hubName: session?.hub?.name || 'Unknown',
+        reason: `${rule.name}: ${text.substring(0, 200)}`,
+        lastStatus: session?.currentStatus,
+        notificationId: `rule-${rule.id}-${Date.now()}`
+      });
+    }
+
+    return deviceService.sendPushToUser(context.userId, {
+      title: `🔎 ${rule.name}`,
+      body: `${gameName}: ${text.substring(0, 200)}`,
+      data: {
+        type: 'log_rule',
+        ruleId: rule.id,
+        sessionId: context.sessionId
+      }
+    }, { severity: 'warning' });
+  }
+}
+
+export default new LogRuleService();
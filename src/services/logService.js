@@ -1,11 +1,19 @@
+import { v4 as uuidv4 } from 'uuid';
 import prisma from './database.js';
+import config from '../config/index.js';
 
 /**
  * Log Service
  * Handles persistent storage and retrieval of session logs
+ * Live logs are buffered and written in batches to keep insert volume down
  */
 
 class LogService {
+  constructor() {
+    this.buffer = [];
+    this.flushTimer = null;
+  }
+
   /**
    * Create a new log entry
    */
@@ -25,6 +33,94 @@ class LogService {
     }
   }
 
+  /**
+   * Queue a log entry for the next batched write
+   * Returns the entry immediately (id is assigned here) so it can be forwarded live
+   */
+  bufferLog({ sessionId, userId, level, message, timestamp }) {
+    const entry = {
+      id: uuidv4(),
+      sessionId,
+      userId,
+      level: this.normalizeLevel(level),
+      message: message?.substring(0, 2000) || '',
+      createdAt: new Date(this.resolveTimestamp(timestamp)),
+    };
+
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= config.logs.maxBufferSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), config.logs.flushInterval);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Write all buffered logs in a single insert
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.buffer.length === 0) return 0;
+
+    const entries = this.buffer;
+    this.buffer = [];
+
+    try {
+      return await this.insertLogs(entries);
+    } catch (error) {
+      // A session deleted after its logs were buffered fails the whole insert
+      if (error.code === 'P2003') {
+        return this.insertForExistingSessions(entries);
+      }
+      console.error(`Failed to write ${entries.length} buffered logs:`, error.message);
+      return 0;
+    }
+  }
+
+  async insertLogs(entries) {
+    const result = await prisma.sessionLog.createMany({
+      data: entries,
+      skipDuplicates: true,
+    });
+    return result.count;
+  }
+
+  /**
+   * Retry a failed batch without the logs of sessions that no longer exist
+   */
+  async insertForExistingSessions(entries) {
+    try {
+      const sessions = await prisma.session.findMany({
+        where: { id: { in: [...new Set(entries.map(entry => entry.sessionId))] } },
+        select: { id: true }
+      });
+      const existing = new Set(sessions.map(session => session.id));
+      const kept = entries.filter(entry => existing.has(entry.sessionId));
+
+      if (kept.length < entries.length) {
+        console.warn(`Dropped ${entries.length - kept.length} buffered logs of deleted sessions`);
+      }
+
+      return kept.length > 0 ? await this.insertLogs(kept) : 0;
+    } catch (error) {
+      console.error(`Failed to write ${entries.length} buffered logs:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Trust a client timestamp only within the allowed skew, never in the future
+   */
+  resolveTimestamp(clientTimestamp, now = Date.now()) {
+    if (!Number.isFinite(clientTimestamp)) return now;
+    return Math.min(now, Math.max(now - config.logs.maxClientSkew, clientTimestamp));
+  }
+
   /**
    * Get logs for a user (across all sessions)
    * Used on page load to show recent logs
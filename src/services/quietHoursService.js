@@ -0,0 +1,214 @@
+/**
+ * Quiet Hours Service
+ * Evaluates a user's quiet-hour rules in their own timezone.
+ * Rules are { days?, start, end } in local "HH:MM"; a rule that ends before it
+ * starts runs overnight and belongs to the day it starts on.
+ * Pushes at or above the user's breakthrough severity still go out.
+ */
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_RULES = 14;
+
+// Select for the fields evaluated here
+export const QUIET_HOURS_SELECT = {
+  timezone: true,
+  quietHoursEnabled: true,
+  quietHoursStart: true,
+  quietHoursEnd: true,
+  quietHoursRules: true,
+  quietHoursBreakthrough: true
+};
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class QuietHoursService {
+  constructor() {
+    this.formatters = new Map(); // timezone -> Intl.DateTimeFormat
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validate the quiet-hours part of a settings update
+   * @returns {{error: string}|{data: object}} data holds the normalized fields that were given
+   */
+  validateSettings({ timezone, quietHoursStart, quietHoursEnd, quietHoursRules, quietHoursBreakthrough }) {
+    const data = {};
+
+    if (timezone !== undefined) {
+      if (typeof timezone !== 'string' || !this.isValidTimezone(timezone)) {
+        return { error: 'timezone must be an IANA timezone such as "Asia/Tokyo"' };
+      }
+      data.timezone = timezone;
+    }
+
+    for (const [field, value] of [['quietHoursStart', quietHoursStart], ['quietHoursEnd', quietHoursEnd]]) {
+      if (value === undefined) continue;
+      if (value !== null && (typeof value !== 'string' || !TIME_PATTERN.test(value))) {
+        return { error: `${field} must be "HH:MM" (24-hour)` };
+      }
+      data[field] = value;
+    }
+
+    if (quietHoursRules !== undefined) {
+      const result = this.validateRules(quietHoursRules);
+      if (result.error) {
+        return { error: result.error };
+      }
+      data.quietHoursRules = result.rules;
+    }
+
+    if (quietHoursBreakthrough !== undefined) {
+      if (quietHoursBreakthrough !== null && !SEVERITIES.includes(quietHoursBreakthrough)) {
+        return { error: `quietHoursBreakthrough must be null or one of: ${SEVERITIES.join(', ')}` };
+      }
+      data.quietHoursBreakthrough = quietHoursBreakthrough;
+    }
+
+    return { data };
+  }
+
+  /**
+   * null clears the rules (stored as [] - the daily start/end applies again)
+   * @returns {{error: string}|{rules: Array}}
+   */
+  validateRules(rules) {
+    if (rules === null) {
+      return { rules: [] };
+    }
+
+    if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+      return { error: `quietHoursRules must be an array of at most ${MAX_RULES} rules` };
+    }
+
+    const normalized = [];
+
+    for (const [index, rule] of rules.entries()) {
+      const field = `quietHoursRules[${index}]`;
+
+      if (!rule || typeof rule !== 'object') {
+        return { error: `${field} must be an object` };
+      }
+      if (!TIME_PATTERN.test(rule.start ?? '') || !TIME_PATTERN.test(rule.end ?? '')) {
+        return { error: `${field} needs start and end as "HH:MM" (24-hour)` };
+      }
+      if (rule.start === rule.end) {
+        return { error: `${field} start and end must differ` };
+      }
+
+      let days = null;
+      if (rule.days !== undefined && rule.days !== null) {
+        if (!Array.isArray(rule.days) || rule.days.length === 0) {
+          return { error: `${field}.days must be a non-empty array` };
+        }
+        days = [...new Set(rule.days.map(day => String(day).toLowerCase().slice(0, 3)))];
+        if (days.some(day => !DAYS.includes(day))) {
+          return { error: `${field}.days must be weekdays (${DAYS.join(', ')})` };
+        }
+      }
+
+      normalized.push({ ...(days && { days }), start: rule.start, end: rule.end });
+    }
+
+    return { rules: normalized };
+  }
+
+  /**
+   * Weekday (0 = Sunday) and minutes past midnight in a timezone
+   */
+  getLocalTime(timezone, date = new Date()) {
+    const zone = timezone && this.isValidTimezone(timezone) ? timezone : 'UTC';
+
+    if (!this.formatters.has(zone)) {
+      this.formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+
+    const parts = this.formatters.get(zone).formatToParts(date);
+    const get = (type) => parts.find(part => part.type === type).value;
+
+    return {
+      day: DAYS.indexOf(get('weekday').toLowerCase()),
+      minutes: Number(get('hour')) * 60 + Number(get('minute'))
+    };
+  }
+
+  /**
+   * Rules in effect - the legacy daily start/end applies when no rules are set
+   */
+  getRules(user) {
+    if (!user.quietHoursEnabled) {
+      return [];
+    }
+
+    if (Array.isArray(user.quietHoursRules) && user.quietHoursRules.length > 0) {
+      return user.quietHoursRules;
+    }
+
+    if (user.quietHoursStart && user.quietHoursEnd && user.quietHoursStart !== user.quietHoursEnd) {
+      return [{ start: user.quietHoursStart, end: user.quietHoursEnd }];
+    }
+
+    return [];
+  }
+
+  ruleCovers(rule, day, minutes) {
+    const start = toMinutes(rule.start);
+    const end = toMinutes(rule.end);
+    const onDay = (d) => !rule.days || rule.days.includes(DAYS[d]);
+
+    if (start < end) {
+      return onDay(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight (e.g. 23:00 to 07:00) - the early morning belongs to yesterday's rule
+    if (minutes >= start) return onDay(day);
+    if (minutes < end) return onDay((day + 6) % 7);
+    return false;
+  }
+
+  /**
+   * Is it quiet hours for the user right now (in their timezone)
+   */
+  isQuietHours(user, date = new Date()) {
+    const rules = this.getRules(user);
+    if (rules.length === 0) {
+      return false;
+    }
+
+    const { day, minutes } = this.getLocalTime(user.timezone, date);
+    return rules.some(rule => this.ruleCovers(rule, day, minutes));
+  }
+
+  /**
+   * Should a push of this severity be held back
+   */
+  isMuted(user, severity = 'info', date = new Date()) {
+    if (!this.isQuietHours(user, date)) {
+      return false;
+    }
+
+    const breakthrough = user.quietHoursBreakthrough;
+    return !breakthrough || SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(breakthrough);
+  }
+}
+
+export default new QuietHoursService();
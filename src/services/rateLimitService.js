@@ -0,0 +1,158 @@
+import prisma from './database.js';
+import redisService from './redis.js';
+import config from '../config/index.js';
+
+/**
+ * Rate Limit Service
+ * Resolves SDK message limits (hub rule > tier rule > config default)
+ * and enforces them with Redis counters shared by every instance
+ */
+
+export const RATE_LIMIT_TYPES = ['status', 'log', 'notify', 'alert'];
+
+const LABELS = {
+  status: 'Status updates',
+  log: 'Log messages',
+  notify: 'Notifications',
+  alert: 'Alerts'
+};
+
+class RateLimitService {
+  constructor() {
+    this.cache = new Map(); // `${hubId}:${tier}` -> { limits, expiresAt }
+  }
+
+  getDefaults() {
+    return Object.fromEntries(RATE_LIMIT_TYPES.map(type => [type, {
+      max: config.rateLimits.defaults[type],
+      windowMs: config.rateLimits.windowMs,
+      source: 'default'
+    }]));
+  }
+
+  /**
+   * Effective limits for a hub/tier pair
+   * Cached per instance; admin edits reach other instances within cacheTtl
+   */
+  async getLimits(hubId, tier) {
+    const cacheKey = `${hubId || '-'}:${tier || '-'}`;
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.limits;
+    }
+
+    const limits = this.getDefaults();
+    const scopes = [];
+    if (hubId) scopes.push({ hubId });
+    if (tier) scopes.push({ tier });
+
+    try {
+      const rules = scopes.length > 0
+        ? await prisma.rateLimitRule.findMany({ where: { OR: scopes } })
+        : [];
+
+      // Tier rules first so a hub rule wins
+      for (const rule of rules.filter(r => r.tier)) {
+        limits[rule.type] = { max: rule.max, windowMs: rule.windowMs, source: 'tier' };
+      }
+      for (const rule of rules.filter(r => r.hubId)) {
+        limits[rule.type] = { max: rule.max, windowMs: rule.windowMs, source: 'hub' };
+      }
+    } catch (error) {
+      console.error('Failed to load rate limit rules:', error.message);
+    }
+
+    this.cache.set(cacheKey, { limits, expiresAt: Date.now() + config.rateLimits.cacheTtl });
+    return limits;
+  }
+
+  /**
+   * Count `cost` messages of a type against a session
+   * Fails open if Redis is unavailable - limits protect us, they shouldn't take farms down
+   * @returns {{allowed: boolean, limit: object, retryAfter: number}}
+   */
+  async consume({ sessionId, hubId, tier }, type, cost = 1) {
+    const limits = await this.getLimits(hubId, tier);
+    const limit = limits[type];
+
+    if (!limit) {
+      return { allowed: true, limit: null, retryAfter: 0 };
+    }
+
+    try {
+      const result = await redisService.consumeRateLimit(
+        `ratelimit:${sessionId}:${type}`,
+        cost,
+        limit.max,
+        limit.windowMs
+      );
+      return { ...result, limit };
+    } catch (error) {
+      console.error('Rate limit check failed, allowing message:', error.message);
+      return { allowed: true, limit, retryAfter: 0 };
+    }
+  }
+
+  /**
+   * Human readable limit, e.g. "Log messages limited to 30 per minute"
+   */
+  describe(type, limit) {
+    const seconds = Math.round(limit.windowMs / 1000);
+    const window = seconds === 60 ? 'minute' : `${seconds} seconds`;
+    return `${LABELS[type] || type} limited to ${limit.max} per ${window}`;
+  }
+
+  // ============================================================================
+  // RULE MANAGEMENT (admin)
+  // ============================================================================
+
+  async listRules() {
+    return prisma.rateLimitRule.findMany({
+      orderBy: [{ hubId: 'asc' }, { tier: 'asc' }, { type: 'asc' }],
+      include: {
+        hub: { select: { id: true, name: true, slug: true } }
+      }
+    });
+  }
+
+  /**
+   * Create or replace the rule for a scope ({ hubId } or { tier }) and type
+   */
+  async setRule(scope, type, { max, windowMs, note }, adminEmail) {
+    const where = scope.hubId
+      ? { hubId_type: { hubId: scope.hubId, type } }
+      : { tier_type: { tier: scope.tier, type } };
+
+    const data = {
+      max,
+      windowMs: windowMs ?? config.rateLimits.windowMs,
+      note: note ?? null,
+      updatedBy: adminEmail
+    };
+
+    const rule = await prisma.rateLimitRule.upsert({
+      where,
+      create: { ...scope, type, ...data },
+      update: data
+    });
+
+    this.cache.clear();
+    return rule;
+  }
+
+  /**
+   * Remove a rule, falling back to the next scope
+   * @returns {boolean} false if there was no rule
+   */
+  async deleteRule(scope, type) {
+    const result = await prisma.rateLimitRule.deleteMany({
+      where: { ...scope, type }
+    });
+
+    this.cache.clear();
+    return result.count > 0;
+  }
+}
+
+export default new RateLimitService();
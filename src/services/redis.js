@@ -103,6 +103,161 @@ class RedisService {
     await this.client.del(`connkey:${key}`);
   }
 
+  // Session Resume Tokens (resumeToken -> sessionId mapping)
+  async setResumeToken(token, sessionId, expirySeconds = 86400) {
+    await this.client.setEx(
+      `resume:${token}`,
+      expirySeconds,
+      sessionId
+    );
+  }
+
+  async getResumeToken(token) {
+    return await this.client.get(`resume:${token}`);
+  }
+
+  async deleteResumeToken(token) {
+    await this.client.del(`resume:${token}`);
+  }
+
+  // Telegram /status snapshots (chatId -> session IDs in the order they were listed)
+  async setChatSessionList(chatId, sessionIds, expirySeconds = 600) {
+    await this.client.setEx(
+      `chat:sessions:${chatId}`,
+      expirySeconds,
+      JSON.stringify(sessionIds)
+    );
+  }
+
+  async getChatSessionList(chatId) {
+    const data = await this.client.get(`chat:sessions:${chatId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Session Ownership (sessionId -> server instance holding the SDK socket)
+  // The TTL only cleans up after a crashed instance - the owner refreshes it while the session runs
+
+  /**
+   * Set the owner and return the previous one in a single command
+   */
+  async swapSessionOwner(sessionId, instanceId, expirySeconds = 86400) {
+    return await this.client.set(`owner:${sessionId}`, instanceId, { EX: expirySeconds, GET: true });
+  }
+
+  /**
+   * Extend the TTL - only while `instanceId` is still the owner
+   */
+  async refreshSessionOwner(sessionId, instanceId, expirySeconds = 86400) {
+    const refreshed = await this.client.eval(
+      `if redis.call('GET', KEYS[1]) == ARGV[1] then
+         return redis.call('EXPIRE', KEYS[1], ARGV[2])
+       end
+       return 0`,
+      { keys: [`owner:${sessionId}`], arguments: [instanceId, expirySeconds.toString()] }
+    );
+    return refreshed === 1;
+  }
+
+  async getSessionOwner(sessionId) {
+    return await this.client.get(`owner:${sessionId}`);
+  }
+
+  /**
+   * Delete the owner - only if it is still `instanceId`, so a newer owner's claim survives
+   */
+  async releaseSessionOwner(sessionId, instanceId) {
+    const released = await this.client.eval(
+      `if redis.call('GET', KEYS[1]) == ARGV[1] then
+         return redis.call('DEL', KEYS[1])
+       end
+       return 0`,
+      { keys: [`owner:${sessionId}`], arguments: [instanceId] }
+    );
+    return released === 1;
+  }
+
+  // Dead Man's Switch Deadlines (sorted set: member = sessionId, score = due time)
+  async setDeadline(sessionId, dueAt) {
+    await this.client.zAdd('deadman:deadlines', { score: dueAt, value: sessionId });
+  }
+
+  async getDeadline(sessionId) {
+    return await this.client.zScore('deadman:deadlines', sessionId);
+  }
+
+  async deleteDeadline(sessionId) {
+    await this.client.zRem('deadman:deadlines', sessionId);
+  }
+
+  async getDueDeadlines(now, limit = 100) {
+    return await this.client.zRangeByScore('deadman:deadlines', 0, now, {
+      LIMIT: { offset: 0, count: limit }
+    });
+  }
+
+  /**
+   * Atomically remove a deadline only if it is still due
+   * Returns true for exactly one caller, even with several instances sweeping
+   */
+  async claimDeadline(sessionId, now) {
+    const claimed = await this.client.eval(
+      `local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+       if score and tonumber(score) <= tonumber(ARGV[2]) then
+         redis.call('ZREM', KEYS[1], ARGV[1])
+         return 1
+       end
+       return 0`,
+      { keys: ['deadman:deadlines'], arguments: [sessionId, now.toString()] }
+    );
+    return claimed === 1;
+  }
+
+  /**
+   * Fixed-window rate counter - adds `cost` unless that would exceed `max`
+   * Rejected attempts don't consume anything, so a big batch can't lock out small ones
+   */
+  async consumeRateLimit(key, cost, max, windowMs) {
+    const [allowed, ttl] = await this.client.eval(
+      `local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+       local cost = tonumber(ARGV[1])
+       if current + cost > tonumber(ARGV[2]) then
+         return {0, redis.call('PTTL', KEYS[1])}
+       end
+       local count = redis.call('INCRBY', KEYS[1], cost)
+       if count == cost then
+         redis.call('PEXPIRE', KEYS[1], ARGV[3])
+       end
+       return {1, redis.call('PTTL', KEYS[1])}`,
+      { keys: [key], arguments: [cost.toString(), max.toString(), windowMs.toString()] }
+    );
+    return { allowed: allowed === 1, retryAfter: Math.max(ttl, 0) };
+  }
+
+  // Mobile Event Streams (per-user, bounded, for replay after reconnect)
+  async appendUserEvent(userId, data, maxLen, expirySeconds) {
+    const key = `events:${userId}`;
+    const [eventId] = await this.client.multi()
+      .xAdd(key, '*', { data: JSON.stringify(data) }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLen }
+      })
+      .expire(key, expirySeconds)
+      .exec();
+    return eventId;
+  }
+
+  /**
+   * Newest events first, from the newest back to `fromId` (inclusive)
+   */
+  async getUserEventsSince(userId, fromId, count) {
+    const entries = await this.client.xRevRange(`events:${userId}`, '+', fromId, { COUNT: count });
+    return entries.map(({ id, message }) => ({ id, data: JSON.parse(message.data) }));
+  }
+
+  async getLatestUserEventId(userId) {
+    const [latest] = await this.client.xRevRange(`events:${userId}`, '+', '-', { COUNT: 1 });
+    return latest?.id || null;
+  }
+
   // Active Roblox Connections (sessionId -> userId mapping)
   async setActiveConnection(sessionId, userId, gameInfo) {
     const data = {
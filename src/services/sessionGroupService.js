@@ -0,0 +1,316 @@
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import escalationService from './escalationService.js';
+import { LIVE_STATUSES } from './sessionService.js';
+
+/**
+ * Session Group Service
+ * Fleets of sessions judged together ("my 5 alts in Pet Sim"): a member that
+ * died (timed out or stopped early) counts as down until a new session joins
+ * the group, and the user is alerted once when a timeout brings that count to
+ * the group's threshold. Members the user stopped, or never started, are not down.
+ *
+ * The count is derived from the sessions on every evaluation - deaths minus
+ * joins since the group was last clear - so it can't drift when instances
+ * crash. It starts over whenever nothing is down, and when the first member
+ * of an empty group joins (a fresh run).
+ */
+
+const MAX_GROUP_SIZE = 100;
+const DIED_REASONS = ['TIMEOUT', 'EARLY_STOP'];
+
+class SessionGroupService {
+  /**
+   * Validate a group body
+   * { name, placeId?, size, minDown? } - minDown null means "all of them"
+   * @returns {{error: string}|{data: object}}
+   */
+  parseGroup({ name, placeId, size, minDown }, { partial = false } = {}) {
+    const data = {};
+
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+        return { error: 'name is required (max 50 characters)' };
+      }
+      data.name = name.trim();
+    }
+
+    if (placeId !== undefined) {
+      if (placeId !== null && !/^\d+$/.test(String(placeId))) {
+        return { error: 'placeId must be a Roblox place ID' };
+      }
+      data.placeId = placeId !== null ? String(placeId) : null;
+    }
+
+    if (size !== undefined || !partial) {
+      if (!Number.isInteger(size) || size < 1 || size > MAX_GROUP_SIZE) {
+        return { error: `size must be an integer between 1 and ${MAX_GROUP_SIZE}` };
+      }
+      data.size = size;
+    }
+
+    if (minDown !== undefined) {
+      if (minDown !== null && (!Number.isInteger(minDown) || minDown < 1)) {
+        return { error: 'minDown must be a positive integer, or null to alert only when all are down' };
+      }
+      data.minDown = minDown;
+    }
+
+    return { data };
+  }
+
+  /**
+   * Down count that raises the alert
+   */
+  threshold(group) {
+    return Math.min(group.minDown ?? group.size, group.size);
+  }
+
+  /**
+   * e.g. "2/5 down"
+   */
+  describe(group) {
+    return `${group.down}/${group.size} down`;
+  }
+
+  /**
+   * Group with its running and down counts
+   * A member reconnecting on its old session row isn't a new join - it just stops being dead.
+   */
+  async withCounts(group) {
+    const [running, died, joined] = await Promise.all([
+      prisma.session.count({
+        where: { groupId: group.id, status: { in: LIVE_STATUSES } }
+      }),
+      prisma.session.count({
+        where: { groupId: group.id, disconnectReason: { in: DIED_REASONS }, disconnectedAt: { gte: group.clearedAt } }
+      }),
+      prisma.session.count({
+        where: { groupId: group.id, createdAt: { gte: group.clearedAt } }
+      })
+    ]);
+
+    return { ...group, running, down: Math.min(Math.max(died - joined, 0), group.size) };
+  }
+
+  /**
+   * Re-read a group's counts and end its outage once it's back under the threshold
+   * @param {boolean} joined - a member just joined (tells the user when the group recovers)
+   * @returns {object|null} the group with its counts
+   */
+  async evaluate(groupId, { joined = false } = {}) {
+    const stored = await prisma.sessionGroup.findUnique({ where: { id: groupId } });
+    if (!stored) {
+      return null;
+    }
+
+    let group = await this.withCounts(stored);
+
+    // Start over - old deaths and joins must not offset later ones
+    if (group.down === 0 || (joined && group.running === 1)) {
+      const clearedAt = new Date();
+      await prisma.sessionGroup.update({
+        where: { id: groupId },
+        data: { clearedAt }
+      });
+      group = { ...group, clearedAt, down: 0 };
+    }
+
+    if (!group.alertedAt || group.down >= this.threshold(group)) {
+      return group;
+    }
+
+    // Claim the recovery so only one evaluation reports it
+    const { count } = await prisma.sessionGroup.updateMany({
+      where: { id: groupId, alertedAt: group.alertedAt },
+      data: { alertedAt: null, alertId: null }
+    });
+
+    if (count === 1 && joined) {
+      console.log(`👥 Group "${group.name}" recovered (${this.describe(group)})`);
+      await deviceService.sendGroupRecoveredToUser(group.userId, {
+        groupId: group.id,
+        name: group.name,
+        running: group.running,
+        size: group.size
+      });
+    }
+
+    return { ...group, alertedAt: null, alertId: null };
+  }
+
+  // ============================================================================
+  // MANAGEMENT
+  // ============================================================================
+
+  async listGroups(userId) {
+    const groups = await prisma.sessionGroup.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' }
+    });
+
+    return Promise.all(groups.map(group => this.withCounts(group)));
+  }
+
+  /**
+   * @returns {{error: string}|{group: object}}
+   */
+  async createGroup(userId, data) {
+    if (data.minDown != null && data.minDown > data.size) {
+      return { error: 'minDown cannot be larger than size' };
+    }
+
+    try {
+      const group = await prisma.sessionGroup.create({
+        data: { userId, ...data }
+      });
+      return { group };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { error: 'A group with this name already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {{error: string}|{group: object}|null} null if the group doesn't exist
+   */
+  async updateGroup(userId, groupId, data) {
+    const existing = await prisma.sessionGroup.findFirst({
+      where: { id: groupId, userId }
+    });
+
+    if (!existing) {
+      return null;
+    }
+
+    const size = data.size ?? existing.size;
+    const minDown = data.minDown !== undefined ? data.minDown : existing.minDown;
+    if (minDown != null && minDown > size) {
+      return { error: 'minDown cannot be larger than size' };
+    }
+
+    try {
+      await prisma.sessionGroup.update({
+        where: { id: groupId },
+        data
+      });
+
+      // A smaller size or higher threshold can end the current outage
+      return { group: await this.evaluate(groupId) };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { error: 'A group with this name already exists' };
+      }
+      throw error;
+    }
+  }
+
+  async deleteGroup(userId, groupId) {
+    const result = await prisma.sessionGroup.deleteMany({
+      where: { id: groupId, userId }
+    });
+    return result.count > 0;
+  }
+
+  // ============================================================================
+  // MEMBERSHIP
+  // ============================================================================
+
+  /**
+   * Group a new session joins - by the name the SDK sent, else by place
+   * Fails open - an ungrouped session alerts on its own
+   * @returns {string|null} group ID
+   */
+  async resolveGroupId(userId, { group, placeId }) {
+    try {
+      if (typeof group === 'string' && group.length > 0) {
+        const named = await prisma.sessionGroup.findUnique({
+          where: { userId_name: { userId, name: group } },
+          select: { id: true }
+        });
+        if (named) return named.id;
+      }
+
+      if (placeId != null) {
+        const byPlace = await prisma.sessionGroup.findFirst({
+          where: { userId, placeId: String(placeId) },
+          orderBy: { createdAt: 'asc' },
+          select: { id: true }
+        });
+        if (byPlace) return byPlace.id;
+      }
+    } catch (error) {
+      console.error('Failed to resolve session group:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * A new session joined (it's already live)
+   * Tells the user once the group is back under its threshold
+   */
+  async memberJoined(groupId) {
+    return this.evaluate(groupId, { joined: true });
+  }
+
+  /**
+   * A member timed out
+   * It leaves the running count before counting, so members timing out together
+   * on different instances can't each still see the others as running
+   * Fails open - without the group the timeout alerts on its own
+   * @returns {object|null} the group with its new down count
+   */
+  async memberDown(groupId, sessionId) {
+    try {
+      await prisma.session.updateMany({
+        where: { id: sessionId, status: { in: LIVE_STATUSES } },
+        data: { status: 'TIMEOUT', disconnectReason: 'TIMEOUT', disconnectedAt: new Date() }
+      });
+
+      return await this.evaluate(groupId);
+    } catch (error) {
+      console.error(`Failed to count down members for group ${groupId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Escalate once when the group reaches its threshold
+   * @returns {{alert: object|null, firstResult?: object}}
+   */
+  async alertIfDown(group, session, { details, lifeOrDeathMode }) {
+    if (group.down < this.threshold(group)) {
+      return { alert: null };
+    }
+
+    // Already alerted for this outage - the running escalation covers it
+    const { count } = await prisma.sessionGroup.updateMany({
+      where: { id: group.id, alertedAt: null },
+      data: { alertedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return { alert: null };
+    }
+
+    const { alert, firstResult } = await escalationService.startEscalation(session.userId, {
+      sessionId: session.id,
+      reason: `${group.down} of ${group.size} sessions in "${group.name}" are down`,
+      gameName: session.gameName || 'Unknown Game',
+      details: { ...details, groupId: group.id, groupName: group.name },
+      lifeOrDeathMode
+    });
+
+    await prisma.sessionGroup.update({
+      where: { id: group.id },
+      data: { alertId: alert.id }
+    });
+
+    return { alert, firstResult };
+  }
+}
+
+export default new SessionGroupService();
@@ -1,18 +1,56 @@
+import crypto from 'crypto';
 import prisma from './database.js';
-import deviceService from './deviceService.js';
+import redisService from './redis.js';
+import config from '../config/index.js';
 import logService from './logService.js';
-import alertLoopService from './alertLoopService.js';
+import escalationService from './escalationService.js';
+import incidentService from './incidentService.js';
+import snoozeService from './snoozeService.js';
+import deferredAlertService from './deferredAlertService.js';
+import sessionGroupService from './sessionGroupService.js';
+import commandService from './commandService.js';
+import quietHoursService, { QUIET_HOURS_SELECT } from './quietHoursService.js';
 
 /**
  * Session Service
  * Manages connection sessions and the Dead Man's Switch
  */
 
+// Sessions the Dead Man's Switch still watches
+export const LIVE_STATUSES = ['ACTIVE', 'RECOVERING'];
+
+// What the alert paths (timeout, early stop) need to know about a session
+const ALERT_SESSION_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      alertSound: true,
+      ...QUIET_HOURS_SELECT,
+      lifeOrDeathMode: true
+    }
+  },
+  hub: {
+    select: { name: true }
+  }
+};
+
 class SessionService {
   /**
    * Create a new session when SDK connects
    */
-  async createSession({ userId, hubId, wsClientId, gameInfo }) {
+  async createSession({ userId, hubId, wsClientId, gameInfo, heartbeat = {}, stallTimeout = null, plannedEndAt = null, groupId = null }) {
+    const now = new Date();
+    const watchdog = {
+      stallTimeout,
+      progressHash: null,
+      lastProgressAt: now,
+      stallDeadline: stallTimeout ? new Date(now.getTime() + stallTimeout) : null,
+      stalledAt: null,
+      plannedEndAt,
+      overrunAlertedAt: null
+    };
+
     // Check for existing active session with same wsClientId
     const existing = await prisma.session.findUnique({
       where: { wsClientId }
@@ -35,7 +73,11 @@ class SessionService {
           disconnectedAt: null,
           disconnectReason: null,
           disconnectMessage: null,
-          alertSent: false
+          alertSent: false,
+          heartbeatInterval: heartbeat.heartbeatInterval,
+          heartbeatTimeout: heartbeat.heartbeatTimeout,
+          groupId,
+          ...watchdog
         }
       });
     }
@@ -52,11 +94,94 @@ class SessionService {
         executor: gameInfo?.executor,
         status: 'ACTIVE',
         connectedAt: new Date(),
-        lastHeartbeatAt: new Date()
+        lastHeartbeatAt: new Date(),
+        heartbeatInterval: heartbeat.heartbeatInterval,
+        heartbeatTimeout: heartbeat.heartbeatTimeout,
+        groupId,
+        ...watchdog
       }
     });
   }
 
+  /**
+   * Agree on heartbeat timing for a new session
+   * Requested values win over the user's default, and are clamped to the server bounds.
+   * The timeout always covers at least two intervals so one late heartbeat doesn't page.
+   */
+  negotiateHeartbeat({ heartbeatInterval, heartbeatTimeout } = {}, userDefaultTimeout = null) {
+    const { deadman } = config;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    const interval = clamp(
+      heartbeatInterval ?? deadman.heartbeatInterval,
+      deadman.minHeartbeatInterval,
+      deadman.maxHeartbeatInterval
+    );
+
+    const timeout = clamp(
+      Math.max(heartbeatTimeout ?? userDefaultTimeout ?? deadman.heartbeatTimeout, interval * 2),
+      deadman.minHeartbeatTimeout,
+      deadman.maxHeartbeatTimeout
+    );
+
+    return { heartbeatInterval: interval, heartbeatTimeout: timeout };
+  }
+
+  /**
+   * Progress watchdog timeout for a new session
+   * The SDK's value wins over the user's default; 0 turns the watchdog off
+   * @returns {number|null} ms, or null when disarmed
+   */
+  resolveStallTimeout(requested, userDefault = null) {
+    const value = requested ?? userDefault;
+    if (!value) return null;
+
+    const { minStallTimeout, maxStallTimeout } = config.watchdog;
+    return Math.min(maxStallTimeout, Math.max(minStallTimeout, value));
+  }
+
+  /**
+   * Planned end for a session from an SDK plan ({ endsAt } or { duration })
+   * @returns {{plannedEndAt: Date|null, error?: string}} plannedEndAt null = no plan
+   */
+  resolvePlan(plan, now = Date.now()) {
+    if (!plan || (plan.endsAt == null && plan.duration == null)) {
+      return { plannedEndAt: null };
+    }
+
+    const endsAt = plan.endsAt ?? now + plan.duration;
+
+    if (endsAt <= now) {
+      return { error: 'Planned end must be in the future' };
+    }
+
+    if (endsAt - now > config.plans.maxDuration) {
+      return { error: `Plans can run at most ${Math.round(config.plans.maxDuration / 3600000)} hours` };
+    }
+
+    return { plannedEndAt: new Date(endsAt) };
+  }
+
+  /**
+   * Set or clear a session's plan (re-arms the overrun notice)
+   */
+  async setPlan(sessionId, plannedEndAt) {
+    return prisma.session.update({
+      where: { id: sessionId },
+      data: { plannedEndAt, overrunAlertedAt: null }
+    });
+  }
+
+  /**
+   * Fingerprint of a status update - the watchdog re-arms whenever it changes
+   */
+  progressFingerprint(statusText, data) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([statusText, data ?? null]))
+      .digest('hex');
+  }
+
   /**
    * Get session by WebSocket client ID
    */
@@ -99,23 +224,190 @@ class SessionService {
     });
   }
 
+  /**
+   * Issue a resume token for a session
+   * Lets the SDK re-attach to the same session after a quick reconnect
+   */
+  async issueResumeToken(sessionId) {
+    const token = `rsm_${crypto.randomBytes(24).toString('hex')}`;
+    await redisService.setResumeToken(token, sessionId, config.deadman.resumeTokenTtl);
+    return token;
+  }
+
+  /**
+   * Consume a resume token (single use)
+   * Returns the session if it is still alive, null otherwise
+   */
+  async consumeResumeToken(token) {
+    if (!token || typeof token !== 'string' || !token.startsWith('rsm_')) {
+      return null;
+    }
+
+    const sessionId = await redisService.getResumeToken(token);
+    if (!sessionId) {
+      return null;
+    }
+
+    await redisService.deleteResumeToken(token);
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            status: true,
+            tier: true,
+            devices: {
+              where: { isActive: true },
+              select: { id: true }
+            }
+          }
+        },
+        hub: {
+          select: {
+            id: true,
+            name: true,
+            status: true
+          }
+        }
+      }
+    });
+
+    // Only sessions the Dead Man's Switch hasn't closed yet can be resumed
+    if (!session || !LIVE_STATUSES.includes(session.status)) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Rebind an active (or recovering) session to a new WebSocket client
+   */
+  async resumeSession(sessionId, wsClientId) {
+    return prisma.session.update({
+      where: { id: sessionId },
+      data: {
+        wsClientId,
+        status: 'ACTIVE',
+        lastHeartbeatAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Hold sessions open across a server restart
+   * They stay resumable; the Dead Man's Switch fires for those that don't come back
+   */
+  async markRecovering(sessionIds) {
+    if (sessionIds.length === 0) return 0;
+
+    const result = await prisma.session.updateMany({
+      where: { id: { in: sessionIds }, status: 'ACTIVE' },
+      data: { status: 'RECOVERING' }
+    });
+
+    return result.count;
+  }
+
   /**
    * Update heartbeat timestamp
    */
-  async updateHeartbeat(wsClientId) {
+  async updateHeartbeat(wsClientId, profile = null) {
     return prisma.session.update({
       where: { wsClientId },
-      data: { lastHeartbeatAt: new Date() }
+      data: {
+        lastHeartbeatAt: new Date(),
+        ...(profile && {
+          heartbeatGapAvg: Math.round(profile.avg),
+          heartbeatGapDev: Math.round(profile.dev),
+          heartbeatSamples: profile.samples,
+          adaptiveTimeout: profile.timeout
+        })
+      }
     });
   }
 
+  /**
+   * Fold one inter-heartbeat gap into a session's profile
+   * Smoothed average and deviation, the way TCP estimates round-trip time
+   */
+  recordHeartbeatGap(profile, gapMs) {
+    if (!profile?.samples) {
+      return { avg: gapMs, dev: gapMs / 2, samples: 1 };
+    }
+
+    return {
+      avg: 0.875 * profile.avg + 0.125 * gapMs,
+      dev: 0.75 * profile.dev + 0.25 * Math.abs(gapMs - profile.avg),
+      samples: profile.samples + 1
+    };
+  }
+
+  /**
+   * Timeout learned from a profile: average gap + 4 deviations,
+   * never below the negotiated timeout and never above the ceiling
+   */
+  adaptiveTimeout(profile, floorMs) {
+    if (!profile || profile.samples < config.deadman.adaptiveMinSamples) {
+      return floorMs;
+    }
+
+    const ceiling = Math.max(config.deadman.adaptiveCeiling, floorMs);
+    const learned = Math.round(profile.avg + 4 * profile.dev);
+
+    return Math.min(ceiling, Math.max(floorMs, learned));
+  }
+
+  /**
+   * Profile stored on a session row (used on resume)
+   */
+  loadHeartbeatProfile(session) {
+    if (!session.heartbeatSamples) {
+      return null;
+    }
+
+    return {
+      avg: session.heartbeatGapAvg,
+      dev: session.heartbeatGapDev,
+      samples: session.heartbeatSamples
+    };
+  }
+
+  /**
+   * Public view of a session's heartbeat timing
+   */
+  describeHeartbeat(session) {
+    return {
+      interval: session.heartbeatInterval ?? config.deadman.heartbeatInterval,
+      timeout: session.heartbeatTimeout ?? config.deadman.heartbeatTimeout,
+      adaptiveTimeout: session.adaptiveTimeout ?? session.heartbeatTimeout ?? config.deadman.heartbeatTimeout,
+      averageGap: session.heartbeatGapAvg,
+      gapDeviation: session.heartbeatGapDev,
+      samples: session.heartbeatSamples ?? 0
+    };
+  }
+
   /**
    * Update session status (live status text)
+   * Pass `progress` ({ hash, stallTimeout }) when the status changed, to push back the watchdog
    */
-  async updateStatus(wsClientId, statusText) {
+  async updateStatus(wsClientId, statusText, progress = null) {
+    const now = new Date();
+
     return prisma.session.update({
       where: { wsClientId },
-      data: { currentStatus: statusText }
+      data: {
+        currentStatus: statusText,
+        ...(progress && {
+          progressHash: progress.hash,
+          lastProgressAt: now,
+          stallDeadline: progress.stallTimeout ? new Date(now.getTime() + progress.stallTimeout) : null,
+          stalledAt: null
+        })
+      }
     });
   }
 
@@ -129,12 +421,20 @@ class SessionService {
 
     if (!session) return null;
 
+    // A script that quits well before its plan usually bailed out of an error path -
+    // unless the user told it to stop
+    const earlyStop = reason === 'MANUAL' &&
+      session.status === 'ACTIVE' &&
+      session.plannedEndAt &&
+      session.plannedEndAt.getTime() - Date.now() > config.plans.earlyStopGrace &&
+      !await commandService.stopRequested(session.id);
+
     return prisma.session.update({
       where: { wsClientId },
       data: {
         status: 'DISCONNECTED',
         disconnectedAt: new Date(),
-        disconnectReason: reason,
+        disconnectReason: earlyStop ? 'EARLY_STOP' : reason,
         disconnectMessage: message
       }
     });
@@ -168,22 +468,7 @@ class SessionService {
   async handleTimeout(wsClientId) {
     const session = await prisma.session.findUnique({
       where: { wsClientId },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            alertSound: true,
-            quietHoursEnabled: true,
-            quietHoursStart: true,
-            quietHoursEnd: true,
-            lifeOrDeathMode: true
-          }
-        },
-        hub: {
-          select: { name: true }
-        }
-      }
+      include: ALERT_SESSION_INCLUDE
     });
 
     if (!session) {
@@ -191,22 +476,101 @@ class SessionService {
       return null;
     }
 
-    // Check quiet hours
-    if (session.user.quietHoursEnabled && this.isQuietHours(session.user)) {
-      console.log(`🔇 User ${session.user.username} is in quiet hours, skipping alert`);
-      
+    const lostReason = session.status === 'RECOVERING'
+      ? 'Did not reconnect after a server restart'
+      : 'Connection lost - possible crash, kick, or internet failure';
+
+    // Repeated timeouts for the same place collapse into one incident
+    const incident = await incidentService.recordTimeout(session);
+    const incidentData = incident
+      ? { incidentId: incident.id, incidentSequence: incident.count }
+      : {};
+
+    // Grouped sessions count toward their group's outage even while muted
+    const group = session.groupId ? await sessionGroupService.memberDown(session.groupId, session.id) : null;
+
+    // Check quiet hours and snoozes
+    const muted = await this.holdIfMuted(session, { kind: 'timeout', reason: lostReason });
+    if (muted) {
       await prisma.session.update({
         where: { id: session.id },
         data: {
           status: 'TIMEOUT',
           disconnectedAt: new Date(),
           disconnectReason: 'TIMEOUT',
-          disconnectMessage: 'Heartbeat timeout (quiet hours - no alert)',
-          alertSent: false
+          disconnectMessage: `Heartbeat timeout (${muted.label} - ${muted.deferred ? 'in summary' : 'no alert'})`,
+          alertSent: false,
+          ...incidentData
         }
       });
       
-      return { session, alertSent: false, reason: 'QUIET_HOURS' };
+      return { session, alertSent: false, reason: muted.reason };
+    }
+
+    // Grouped sessions alert together, once enough of the group is down
+    if (group) {
+      const summary = sessionGroupService.describe(group);
+      console.log(`👥 TIMEOUT in group "${group.name}" (${summary}) for user ${session.user.username}`);
+
+      await logService.createLog({
+        sessionId: session.id,
+        userId: session.userId,
+        level: 'error',
+        message: `🚨 TIMEOUT: ${session.gameName || 'Unknown Game'} - Connection lost (group "${group.name}": ${summary})`,
+      });
+
+      const { alert, firstResult } = await sessionGroupService.alertIfDown(group, session, {
+        details: this.alertDetails(session),
+        lifeOrDeathMode: session.user.lifeOrDeathMode
+      });
+
+      await prisma.session.update({
+        where: { id: session.id },
+        data: {
+          status: 'TIMEOUT',
+          disconnectedAt: new Date(),
+          disconnectReason: 'TIMEOUT',
+          disconnectMessage: `Heartbeat timeout (group "${group.name}": ${summary})`,
+          alertSent: Boolean(alert),
+          alertSentAt: alert ? new Date() : null,
+          alertDelivered: firstResult?.success ?? false,
+          ...incidentData
+        }
+      });
+
+      return { session, alertSent: Boolean(alert), alertResult: firstResult, reason: alert ? 'GROUP_DOWN' : 'GROUP_UNDER_THRESHOLD', group, alert };
+    }
+
+    // An earlier timeout of the incident already escalated - follow up instead of alerting again
+    // (timeouts muted by quiet hours or a snooze never claim it)
+    if (incident && !await incidentService.claimEscalation(incident)) {
+      const summary = incidentService.describe(incident);
+      console.log(`🔁 TIMEOUT: ${summary} for user ${session.user.username} (incident ${incident.id})`);
+
+      await logService.createLog({
+        sessionId: session.id,
+        userId: session.userId,
+        level: 'error',
+        message: `🚨 TIMEOUT: ${session.gameName || 'Unknown Game'} - Connection lost again (${summary})`,
+      });
+
+      const followUp = await incidentService.followUp(incident, session);
+
+      await prisma.session.update({
+        where: { id: session.id },
+        data: {
+          status: 'TIMEOUT',
+          disconnectedAt: new Date(),
+          disconnectReason: 'TIMEOUT',
+          disconnectMessage: `Heartbeat timeout (${summary})`,
+          alertSent: Boolean(followUp),
+          alertSentAt: followUp ? new Date() : null,
+          alertDelivered: followUp?.success ?? false,
+          ...incidentData
+        }
+      });
+
+      return { session, alertSent: Boolean(followUp), reason: 'INCIDENT_REPEAT', incident };
     }
 
     // Send critical alert
@@ -220,78 +584,153 @@ class SessionService {
       message: `🚨 TIMEOUT: ${session.gameName || 'Unknown Game'} - Connection lost (possible crash, kick, or internet failure)`,
     });
     
-    const alertData = {
+    const { alert, alertResult } = await this.escalate(session, lostReason, {
+      status: 'TIMEOUT',
+      disconnectedAt: new Date(),
+      disconnectReason: 'TIMEOUT',
+      disconnectMessage: 'Heartbeat timeout',
+      ...incidentData
+    });
+
+    if (incident) {
+      await incidentService.attachAlert(incident.id, alert.id);
+    }
+
+    return { session, alertSent: true, alertResult, incident, alert };
+  }
+
+  /**
+   * Alert for a session that disconnected before its planned end
+   * Goes through the user's escalation policy like a timeout
+   */
+  async handleEarlyStop(sessionId) {
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: ALERT_SESSION_INCLUDE
+    });
+
+    if (!session || session.disconnectReason !== 'EARLY_STOP') {
+      return null;
+    }
+
+    const minutesEarly = Math.round((session.plannedEndAt.getTime() - session.disconnectedAt.getTime()) / 60000);
+    const reason = `Stopped ${minutesEarly} min before its planned end` +
+      (session.disconnectMessage ? `: ${session.disconnectMessage}` : '');
+
+    await logService.createLog({
       sessionId: session.id,
-      gameName: session.gameName || 'Unknown Game',
+      userId: session.userId,
+      level: 'error',
+      message: `🛑 EARLY STOP: ${session.gameName || 'Unknown Game'} - ${reason}`,
+    });
+
+    const muted = await this.holdIfMuted(session, { kind: 'early_stop', reason });
+    if (muted) {
+      return { session, alertSent: false, reason: muted.reason };
+    }
+
+    console.log(`🛑 EARLY STOP: Sending alert to user ${session.user.username}`);
+
+    const { alert, alertResult } = await this.escalate(session, reason);
+
+    return { session, alertSent: true, alertResult, alert };
+  }
+
+  // ============================================================================
+  // ALERT PATH (shared by timeouts and early stops)
+  // ============================================================================
+
+  /**
+   * Channel details for a session's alert
+   */
+  alertDetails(session) {
+    return {
       hubName: session.hub?.name || 'Unknown Script',
-      reason: 'Connection lost - possible crash, kick, or internet failure',
       lastStatus: session.currentStatus,
       alertSound: session.user.alertSound
     };
+  }
 
-    const alertResult = await deviceService.sendCriticalAlertToUser(session.userId, alertData);
-
-    // Start Life or Death Mode alert loop if enabled
-    if (session.user.lifeOrDeathMode) {
-      await alertLoopService.startAlertLoop(
-        session.userId,
-        session.id,
-        alertData.reason,
-        alertData.gameName
-      );
+  /**
+   * Hold an alert back if the user muted it
+   * Quiet hours only delay the news - it goes out in the summary when they end
+   * @returns {object|null} the mute ({ reason, label, deferred }), or null to alert
+   */
+  async holdIfMuted(session, { kind, reason }) {
+    const muted = await this.getAlertMute(session);
+    if (!muted) {
+      return null;
     }
 
-    // Update session
+    console.log(`🔇 User ${session.user.username} has alerts muted (${muted.label}), skipping ${kind.replace('_', ' ')} alert`);
+
+    const deferred = muted.reason === 'QUIET_HOURS' && await deferredAlertService.defer(session, { kind, reason });
+    return { ...muted, deferred: Boolean(deferred) };
+  }
+
+  /**
+   * Escalate per the user's policy (the first step usually fires right away)
+   * and record the outcome on the session along with `sessionData`
+   */
+  async escalate(session, reason, sessionData = {}) {
+    const { alert, firstResult } = await escalationService.startEscalation(session.userId, {
+      sessionId: session.id,
+      reason,
+      gameName: session.gameName || 'Unknown Game',
+      details: this.alertDetails(session),
+      lifeOrDeathMode: session.user.lifeOrDeathMode
+    });
+    const alertResult = firstResult || { success: false, reason: 'ESCALATION_SCHEDULED' };
+
     await prisma.session.update({
       where: { id: session.id },
       data: {
-        status: 'TIMEOUT',
-        disconnectedAt: new Date(),
-        disconnectReason: 'TIMEOUT',
-        disconnectMessage: 'Heartbeat timeout',
+        ...sessionData,
         alertSent: true,
         alertSentAt: new Date(),
         alertDelivered: alertResult.success,
-        alertError: alertResult.success ? null : JSON.stringify(alertResult.results)
+        alertError: alertResult.success ? null : JSON.stringify(alertResult.results || alertResult.reason)
       }
     });
 
-    return { session, alertSent: true, alertResult };
+    return { alert, alertResult };
   }
 
   /**
-   * Check if current time is within user's quiet hours
+   * Why alerts for a session are muted right now (quiet hours or a snooze), or null
    */
-  isQuietHours(user) {
-    if (!user.quietHoursEnabled || !user.quietHoursStart || !user.quietHoursEnd) {
-      return false;
+  async getAlertMute(session) {
+    if (this.isQuietHours(session.user)) {
+      return { reason: 'QUIET_HOURS', label: 'quiet hours' };
     }
 
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const [startHour, startMin] = user.quietHoursStart.split(':').map(Number);
-    const [endHour, endMin] = user.quietHoursEnd.split(':').map(Number);
-
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    // Handle overnight quiet hours (e.g., 23:00 to 07:00)
-    if (startMinutes > endMinutes) {
-      return currentMinutes >= startMinutes || currentMinutes < endMinutes;
+    const snooze = await snoozeService.findSnooze(session.userId, {
+      sessionId: session.id,
+      placeId: session.gamePlaceId
+    });
+    if (snooze) {
+      return { reason: 'SNOOZED', label: 'snoozed', snooze };
     }
 
-    return currentMinutes >= startMinutes && currentMinutes < endMinutes;
+    return null;
   }
 
   /**
-   * Get all active sessions for a user
+   * Check if a critical alert is held back by the user's quiet hours
+   * (their own timezone and weekday rules; breakthrough severities still alert)
+   */
+  isQuietHours(user) {
+    return quietHoursService.isMuted(user, 'critical');
+  }
+
+  /**
+   * Get all active sessions for a user (including ones recovering from a restart)
    */
   async getActiveSessionsByUser(userId) {
     return prisma.session.findMany({
       where: {
         userId,
-        status: 'ACTIVE'
+        status: { in: LIVE_STATUSES }
       },
       select: {
         id: true,
@@ -303,6 +742,16 @@ class SessionService {
         status: true,
         connectedAt: true,
         lastHeartbeatAt: true,
+        heartbeatInterval: true,
+        heartbeatTimeout: true,
+        heartbeatGapAvg: true,
+        heartbeatGapDev: true,
+        heartbeatSamples: true,
+        adaptiveTimeout: true,
+        stallTimeout: true,
+        lastProgressAt: true,
+        stalledAt: true,
+        plannedEndAt: true,
         hub: {
           select: { name: true }
         }
@@ -318,7 +767,7 @@ class SessionService {
     return prisma.session.updateMany({
       where: {
         userId,
-        status: 'ACTIVE'
+        status: { in: LIVE_STATUSES }
       },
       data: {
         status: 'DISCONNECTED',
@@ -335,7 +784,7 @@ class SessionService {
   async getUserStats(userId) {
     const [totalSessions, activeSessions, timeoutSessions] = await Promise.all([
       prisma.session.count({ where: { userId } }),
-      prisma.session.count({ where: { userId, status: 'ACTIVE' } }),
+      prisma.session.count({ where: { userId, status: { in: LIVE_STATUSES } } }),
       prisma.session.count({ where: { userId, disconnectReason: 'TIMEOUT' } })
     ]);
 
@@ -356,7 +805,7 @@ class SessionService {
 
     const result = await prisma.session.deleteMany({
       where: {
-        status: { not: 'ACTIVE' },
+        status: { notIn: LIVE_STATUSES },
         updatedAt: { lt: cutoff }
       }
     });
@@ -365,27 +814,16 @@ class SessionService {
   }
 
   /**
-   * Cleanup stale active sessions on server startup
-   * Mark any ACTIVE sessions as DISCONNECTED (server restarted)
+   * Get IDs of all sessions still marked ACTIVE or RECOVERING
+   * Used on startup to re-arm Dead Man's Switch deadlines
    */
-  async cleanupStaleSessions() {
-    const result = await prisma.session.updateMany({
-      where: {
-        status: 'ACTIVE'
-      },
-      data: {
-        status: 'DISCONNECTED',
-        disconnectedAt: new Date(),
-        disconnectReason: 'SERVER_SHUTDOWN',
-        disconnectMessage: 'Server restarted'
-      }
+  async getActiveSessionIds() {
+    const sessions = await prisma.session.findMany({
+      where: { status: { in: LIVE_STATUSES } },
+      select: { id: true }
     });
 
-    if (result.count > 0) {
-      console.log(`🧹 Cleaned up ${result.count} stale session(s) from previous run`);
-    }
-
-    return result.count;
+    return sessions.map(s => s.id);
   }
 }
 
@@ -0,0 +1,185 @@
+import prisma from './database.js';
+import escalationService from './escalationService.js';
+import config from '../config/index.js';
+
+/**
+ * Snooze Service
+ * Ad-hoc alert mutes on top of the daily quiet hours: everything, one session
+ * or one place, for N minutes or until a given time. A new snooze also
+ * acknowledges the escalations already running for what it covers.
+ */
+
+class SnoozeService {
+  /**
+   * Validate a snooze request from REST or WebSocket
+   * { minutes } or { until } (ISO string or ms), optionally scoped to { sessionId } or { placeId }
+   * @returns {{error: string}|{data: object}}
+   */
+  parseSnooze({ sessionId, placeId, minutes, until, reason } = {}) {
+    if ((minutes == null) === (until == null)) {
+      return { error: 'Provide either minutes or until' };
+    }
+
+    if (sessionId != null && (typeof sessionId !== 'string' || sessionId.length === 0 || sessionId.length > 64)) {
+      return { error: 'sessionId must be a session ID' };
+    }
+
+    if (placeId != null && !/^\d{1,32}$/.test(String(placeId))) {
+      return { error: 'placeId must be a Roblox place ID' };
+    }
+
+    if (sessionId && placeId != null) {
+      return { error: 'Snooze a session or a place, not both' };
+    }
+
+    const now = Date.now();
+    let endsAt;
+
+    if (minutes != null) {
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        return { error: 'minutes must be a positive integer' };
+      }
+      endsAt = new Date(now + minutes * 60000);
+    } else {
+      if (typeof until !== 'string' && typeof until !== 'number') {
+        return { error: 'until must be an ISO time or a timestamp in ms' };
+      }
+      endsAt = new Date(until);
+      if (Number.isNaN(endsAt.getTime()) || endsAt.getTime() <= now) {
+        return { error: 'until must be a time in the future' };
+      }
+    }
+
+    if (endsAt.getTime() - now > config.snooze.maxDuration) {
+      return { error: `Snoozes can last at most ${Math.round(config.snooze.maxDuration / 3600000)} hours` };
+    }
+
+    if (reason != null && (typeof reason !== 'string' || reason.length > 200)) {
+      return { error: 'reason must be a string (max 200 characters)' };
+    }
+
+    return {
+      data: {
+        sessionId: sessionId || null,
+        placeId: placeId != null ? String(placeId) : null,
+        reason: reason || null,
+        endsAt
+      }
+    };
+  }
+
+  /**
+   * Create a snooze (and drop the user's expired ones)
+   * @returns {{error: string}|{snooze: object, acknowledgedAlerts: number}}
+   */
+  async createSnooze(userId, data) {
+    if (data.sessionId) {
+      const session = await prisma.session.findFirst({
+        where: { id: data.sessionId, userId },
+        select: { id: true }
+      });
+      if (!session) {
+        return { error: 'Session not found' };
+      }
+    }
+
+    await prisma.alertSnooze.deleteMany({
+      where: { userId, endsAt: { lte: new Date() } }
+    });
+
+    const snooze = await prisma.alertSnooze.create({
+      data: { userId, ...data }
+    });
+
+    console.log(`🔕 Alerts snoozed for user ${userId} until ${snooze.endsAt.toISOString()}`);
+
+    const acknowledgedAlerts = await this.acknowledgeCovered(userId, data);
+    return { snooze, acknowledgedAlerts };
+  }
+
+  /**
+   * Acknowledge the unacknowledged alerts a new snooze covers, so the
+   * escalation stops paging for what was just muted
+   * Never throws - the snooze itself is already in place
+   * @returns {number} alerts acknowledged
+   */
+  async acknowledgeCovered(userId, { sessionId, placeId }) {
+    try {
+      let alerts = await prisma.activeAlert.findMany({
+        where: { userId, acknowledged: false, ...(sessionId && { sessionId }) },
+        select: { id: true, sessionId: true }
+      });
+
+      if (placeId) {
+        const sessions = await prisma.session.findMany({
+          where: { id: { in: alerts.map(alert => alert.sessionId) }, gamePlaceId: placeId },
+          select: { id: true }
+        });
+        const inPlace = new Set(sessions.map(session => session.id));
+        alerts = alerts.filter(alert => inPlace.has(alert.sessionId));
+      }
+
+      let acknowledged = 0;
+      for (const alert of alerts) {
+        const result = await escalationService.acknowledgeAlert(alert.id, userId);
+        if (result.success) acknowledged++;
+      }
+
+      return acknowledged;
+    } catch (error) {
+      console.error(`Failed to acknowledge snoozed alerts for user ${userId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Snoozes still running, soonest to end first
+   */
+  async listSnoozes(userId) {
+    return prisma.alertSnooze.findMany({
+      where: { userId, endsAt: { gt: new Date() } },
+      orderBy: { endsAt: 'asc' },
+      select: {
+        id: true,
+        sessionId: true,
+        placeId: true,
+        reason: true,
+        endsAt: true,
+        createdAt: true
+      }
+    });
+  }
+
+  /**
+   * End one snooze, or all of them when no id is given
+   * @returns {number} snoozes removed
+   */
+  async cancelSnooze(userId, snoozeId = null) {
+    const result = await prisma.alertSnooze.deleteMany({
+      where: { userId, ...(snoozeId && { id: snoozeId }) }
+    });
+    return result.count;
+  }
+
+  /**
+   * The snooze muting an alert for this session/place, if any
+   * Fails open - a broken lookup must never swallow an alert
+   */
+  async findSnooze(userId, { sessionId = null, placeId = null } = {}) {
+    const scopes = [{ sessionId: null, placeId: null }];
+    if (sessionId) scopes.push({ sessionId });
+    if (placeId) scopes.push({ placeId: String(placeId) });
+
+    try {
+      return await prisma.alertSnooze.findFirst({
+        where: { userId, endsAt: { gt: new Date() }, OR: scopes },
+        orderBy: { endsAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('Failed to check snoozes:', error.message);
+      return null;
+    }
+  }
+}
+
+export default new SnoozeService();
@@ -141,7 +141,14 @@ class UserService {
         quietHoursEnabled: true,
         quietHoursStart: true,
         quietHoursEnd: true,
+        quietHoursRules: true,
+        quietHoursBreakthrough: true,
+        timezone: true,
         lifeOrDeathMode: true,
+        heartbeatTimeout: true,
+        stallTimeout: true,
+        emailAlerts: true,
+        emailVerifiedAt: true,
         createdAt: true,
         lastLoginAt: true,
         devices: {
@@ -227,7 +234,7 @@ class UserService {
    * Update user settings
    */
   async updateSettings(userId, settings) {
-    const allowedFields = ['alertSound', 'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd', 'username', 'lifeOrDeathMode'];
+    const allowedFields = ['alertSound', 'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd', 'quietHoursRules', 'quietHoursBreakthrough', 'timezone', 'username', 'lifeOrDeathMode', 'heartbeatTimeout', 'stallTimeout', 'emailAlerts'];
     const data = {};
     
     for (const field of allowedFields) {
@@ -246,7 +253,14 @@ class UserService {
         quietHoursEnabled: true,
         quietHoursStart: true,
         quietHoursEnd: true,
-        lifeOrDeathMode: true
+        quietHoursRules: true,
+        quietHoursBreakthrough: true,
+        timezone: true,
+        lifeOrDeathMode: true,
+        heartbeatTimeout: true,
+        stallTimeout: true,
+        emailAlerts: true,
+        emailVerifiedAt: true
       }
     });
   }
@@ -346,6 +360,9 @@ class UserService {
         include: {
           hub: {
             select: { name: true }
+          },
+          incident: {
+            select: { id: true, key: true, count: true, firstAt: true, lastAt: true }
           }
         },
         orderBy: { createdAt: 'desc' },
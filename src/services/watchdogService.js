@@ -0,0 +1,181 @@
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import logService from './logService.js';
+import snoozeService from './snoozeService.js';
+import config from '../config/index.js';
+
+/**
+ * Watchdog Service
+ * Catches sessions that still heartbeat but aren't doing what was expected:
+ * - stalled: status text and data unchanged for the session's stallTimeout
+ * - overrun: still running past the end the SDK planned
+ * Every instance sweeps; a conditional update claims each event so it notifies once.
+ */
+
+class WatchdogService {
+  constructor() {
+    this.sweepTimer = null;
+    this.sweeping = false;
+    this.handlers = {};
+  }
+
+  /**
+   * Start sweeping for stalled and overrunning sessions
+   * @param {object} handlers - for live app updates
+   * @param {Function} handlers.onStalled - async (session, stalledMinutes) => void
+   * @param {Function} handlers.onOverrun - async (session, overrunMinutes) => void
+   */
+  start(handlers = {}) {
+    this.handlers = handlers;
+
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), config.watchdog.sweepInterval);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      await this.sweepStalls();
+      await this.sweepOverruns();
+    } catch (error) {
+      console.error('Watchdog sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  async sweepStalls() {
+    const now = new Date();
+    const due = await prisma.session.findMany({
+      where: {
+        status: 'ACTIVE',
+        stalledAt: null,
+        stallDeadline: { lte: now }
+      },
+      take: 100
+    });
+
+    for (const session of due) {
+      // Progress may have landed since the query, or another instance got here first
+      const claimed = await prisma.session.updateMany({
+        where: { id: session.id, stalledAt: null, stallDeadline: session.stallDeadline },
+        data: { stalledAt: now }
+      });
+
+      if (claimed.count !== 1) continue;
+
+      try {
+        await this.raiseStall(session);
+      } catch (error) {
+        console.error(`Failed to raise stall for session ${session.id}:`, error);
+      }
+    }
+  }
+
+  async sweepOverruns() {
+    const now = new Date();
+    const due = await prisma.session.findMany({
+      where: {
+        status: 'ACTIVE',
+        overrunAlertedAt: null,
+        plannedEndAt: { lte: new Date(now.getTime() - config.plans.overrunGrace) }
+      },
+      take: 100
+    });
+
+    for (const session of due) {
+      // The SDK may have extended its plan since the query
+      const claimed = await prisma.session.updateMany({
+        where: { id: session.id, overrunAlertedAt: null, plannedEndAt: session.plannedEndAt },
+        data: { overrunAlertedAt: now }
+      });
+
+      if (claimed.count !== 1) continue;
+
+      try {
+        await this.raiseOverrun(session);
+      } catch (error) {
+        console.error(`Failed to raise overrun for session ${session.id}:`, error);
+      }
+    }
+  }
+
+  async raiseStall(session) {
+    const since = session.lastProgressAt || session.connectedAt;
+    const stalledMinutes = Math.max(1, Math.round((Date.now() - since.getTime()) / 60000));
+
+    console.log(`⏸️ Session stalled: ${session.id} (${stalledMinutes} min on "${session.currentStatus || 'no status'}")`);
+
+    await logService.createLog({
+      sessionId: session.id,
+      userId: session.userId,
+      level: 'warn',
+      message: `⏸️ No progress for ${stalledMinutes} min`
+    });
+
+    if (await this.isSnoozed(session)) {
+      console.log(`🔕 Stalled alert push skipped (snoozed): ${session.id}`);
+    } else {
+      await deviceService.sendStalledAlertToUser(session.userId, {
+        sessionId: session.id,
+        gameName: session.gameName,
+        currentStatus: session.currentStatus,
+        stalledMinutes
+      });
+    }
+
+    if (this.handlers.onStalled) {
+      await this.handlers.onStalled(session, stalledMinutes);
+    }
+  }
+
+  async raiseOverrun(session) {
+    const overrunMinutes = Math.max(1, Math.round((Date.now() - session.plannedEndAt.getTime()) / 60000));
+
+    console.log(`⏰ Session overran its plan: ${session.id} (${overrunMinutes} min past planned end)`);
+
+    await logService.createLog({
+      sessionId: session.id,
+      userId: session.userId,
+      level: 'warn',
+      message: `⏰ Still running ${overrunMinutes} min past the planned end`
+    });
+
+    if (await this.isSnoozed(session)) {
+      console.log(`🔕 Overrun push skipped (snoozed): ${session.id}`);
+    } else {
+      await deviceService.sendPlanOverrunToUser(session.userId, {
+        sessionId: session.id,
+        gameName: session.gameName,
+        plannedEndAt: session.plannedEndAt,
+        overrunMinutes
+      });
+    }
+
+    if (this.handlers.onOverrun) {
+      await this.handlers.onOverrun(session, overrunMinutes);
+    }
+  }
+
+  async isSnoozed(session) {
+    const snooze = await snoozeService.findSnooze(session.userId, {
+      sessionId: session.id,
+      placeId: session.gamePlaceId
+    });
+    return Boolean(snooze);
+  }
+}
+
+export default new WatchdogService();
@@ -0,0 +1,489 @@
+import crypto from 'crypto';
+import prisma from './database.js';
+import deviceService from './deviceService.js';
+import config from '../config/index.js';
+
+/**
+ * Webhook Service
+ * Delivers session events to user-registered endpoints as signed JSON.
+ * Every event is queued in the database first; the worker sends it and
+ * retries failures with exponential backoff, so deliveries survive restarts.
+ * Attempts are claimed with a conditional update - safe on several instances.
+ * Each endpoint is sent to one delivery at a time, several endpoints at once,
+ * so a slow or dead endpoint never holds up anyone else's. Endpoints that keep
+ * failing are switched off, and finished deliveries are pruned after a while.
+ *
+ * Signature: X-Afkty-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+export const WEBHOOK_EVENTS = ['timeout', 'alert', 'notify', 'session_started', 'session_ended'];
+
+const SWEEP_BATCH_SIZE = 100;
+const PRUNE_INTERVAL = 3600000; // Retention runs at most hourly
+
+const DELIVERY_SELECT = {
+  id: true,
+  endpointId: true,
+  event: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastStatusCode: true,
+  lastError: true,
+  deliveredAt: true,
+  createdAt: true
+};
+
+// Never returned after creation
+const ENDPOINT_SELECT = {
+  id: true,
+  url: true,
+  description: true,
+  events: true,
+  enabled: true,
+  lastSuccessAt: true,
+  lastFailureAt: true,
+  consecutiveFailures: true,
+  autoDisabledAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+    this.activeEndpoints = new Set(); // Endpoints with a send in flight on this instance
+    this.lastPruneAt = 0;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signature header value for a body
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Delay before the next attempt (attempts = attempts made so far)
+   */
+  backoff(attempts) {
+    const delay = Math.min(config.webhooks.retryBase * 2 ** (attempts - 1), config.webhooks.retryMax);
+    return Math.round(delay * (0.8 + Math.random() * 0.4)); // ±20% so retries don't line up
+  }
+
+  // ============================================================================
+  // ENDPOINTS
+  // ============================================================================
+
+  /**
+   * Validate an endpoint body
+   * @returns {{error: string}|{data: object}}
+   */
+  parseEndpoint({ url, description, events, enabled }, { partial = false } = {}) {
+    const data = {};
+
+    if (url !== undefined || !partial) {
+      const result = deviceService.parseWebhookUrl(url);
+      if (result.error) {
+        return { error: result.error };
+      }
+      data.url = result.url;
+    }
+
+    if (description !== undefined) {
+      if (description !== null && (typeof description !== 'string' || description.length > 100)) {
+        return { error: 'description must be a string (max 100 characters)' };
+      }
+      data.description = description;
+    }
+
+    if (events !== undefined) {
+      const list = events === null ? [] : events;
+      if (!Array.isArray(list) || list.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        return { error: `events must be an array of: ${WEBHOOK_EVENTS.join(', ')}` };
+      }
+      data.events = [...new Set(list)];
+    }
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        return { error: 'enabled must be a boolean' };
+      }
+      data.enabled = enabled;
+    }
+
+    return { data };
+  }
+
+  async listEndpoints(userId) {
+    return prisma.webhookEndpoint.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: ENDPOINT_SELECT
+    });
+  }
+
+  /**
+   * @returns {{error: string}|{endpoint: object}} the endpoint includes its secret (shown once)
+   */
+  async createEndpoint(userId, data) {
+    const count = await prisma.webhookEndpoint.count({ where: { userId } });
+    if (count >= config.webhooks.maxEndpoints) {
+      return { error: `You can have at most ${config.webhooks.maxEndpoints} webhook endpoints` };
+    }
+
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: { userId, events: [], ...data, secret: this.generateSecret() },
+      select: { ...ENDPOINT_SELECT, secret: true }
+    });
+
+    return { endpoint };
+  }
+
+  /**
+   * @returns {object|null} null if the endpoint doesn't exist
+   */
+  async updateEndpoint(userId, endpointId, data) {
+    const { count } = await prisma.webhookEndpoint.updateMany({
+      where: { id: endpointId, userId },
+      data: {
+        ...data,
+        // Re-enabling starts a fresh failure streak
+        ...(data.enabled && { consecutiveFailures: 0, autoDisabledAt: null })
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return prisma.webhookEndpoint.findUnique({
+      where: { id: endpointId },
+      select: ENDPOINT_SELECT
+    });
+  }
+
+  /**
+   * Issue a new signing secret (the old one stops working immediately)
+   * @returns {string|null} the secret, or null if the endpoint doesn't exist
+   */
+  async rotateSecret(userId, endpointId) {
+    const secret = this.generateSecret();
+    const { count } = await prisma.webhookEndpoint.updateMany({
+      where: { id: endpointId, userId },
+      data: { secret }
+    });
+    return count > 0 ? secret : null;
+  }
+
+  async deleteEndpoint(userId, endpointId) {
+    const result = await prisma.webhookEndpoint.deleteMany({
+      where: { id: endpointId, userId }
+    });
+    return result.count > 0;
+  }
+
+  // ============================================================================
+  // DELIVERIES
+  // ============================================================================
+
+  /**
+   * Recent deliveries for an endpoint, newest first
+   * @returns {Array|null} null if the endpoint doesn't exist
+   */
+  async listDeliveries(userId, endpointId, limit = 50) {
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id: endpointId, userId },
+      select: { id: true }
+    });
+
+    if (!endpoint) {
+      return null;
+    }
+
+    return prisma.webhookDelivery.findMany({
+      where: { endpointId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: { ...DELIVERY_SELECT, payload: true }
+    });
+  }
+
+  /**
+   * Queue a delivery again from scratch (e.g. after fixing the endpoint)
+   * @returns {object|null} null if the delivery doesn't exist
+   */
+  async redeliver(userId, deliveryId) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: deliveryId, endpoint: { userId } },
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    setImmediate(() => this.sweep());
+
+    return prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      select: DELIVERY_SELECT
+    });
+  }
+
+  /**
+   * Queue an event for every enabled endpoint of the user that subscribes to it
+   * Never throws - webhooks must not get in the way of alerting
+   */
+  async emit(userId, event, data) {
+    try {
+      const endpoints = await prisma.webhookEndpoint.findMany({
+        where: { userId, enabled: true },
+        select: { id: true, events: true }
+      });
+
+      const subscribed = endpoints.filter(endpoint =>
+        !Array.isArray(endpoint.events) || endpoint.events.length === 0 || endpoint.events.includes(event)
+      );
+
+      if (subscribed.length === 0) return;
+
+      const now = new Date();
+      await prisma.webhookDelivery.createMany({
+        data: subscribed.map(endpoint => ({
+          endpointId: endpoint.id,
+          event,
+          payload: { event, createdAt: now.toISOString(), data },
+          nextAttemptAt: now
+        }))
+      });
+
+      // Don't wait for the next poll
+      setImmediate(() => this.sweep());
+    } catch (error) {
+      console.error(`Failed to queue ${event} webhook for user ${userId}:`, error.message);
+    }
+  }
+
+  // ============================================================================
+  // WORKER
+  // ============================================================================
+
+  start() {
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+
+    this.timer = setInterval(() => this.sweep(), config.webhooks.pollInterval);
+    console.log('✓ Webhook delivery worker started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start sending due deliveries, one lane per endpoint
+   * Lanes run on after the sweep returns; endpoints with a lane in flight are skipped
+   */
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      await this.pruneIfDue();
+
+      const free = config.webhooks.concurrency - this.activeEndpoints.size;
+      if (free <= 0) return;
+
+      const due = await prisma.webhookDelivery.findMany({
+        where: {
+          status: 'PENDING',
+          nextAttemptAt: { lte: new Date() },
+          endpointId: { notIn: [...this.activeEndpoints] }
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: SWEEP_BATCH_SIZE
+      });
+
+      const lanes = new Map();
+      for (const delivery of due) {
+        if (!lanes.has(delivery.endpointId)) {
+          if (lanes.size >= free) continue;
+          lanes.set(delivery.endpointId, []);
+        }
+        lanes.get(delivery.endpointId).push(delivery);
+      }
+
+      for (const [endpointId, deliveries] of lanes) {
+        this.runLane(endpointId, deliveries);
+      }
+    } catch (error) {
+      console.error('Webhook sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Send an endpoint's due deliveries one at a time
+   * Stops at the first failure - the rest are picked up by a later sweep
+   */
+  async runLane(endpointId, deliveries) {
+    this.activeEndpoints.add(endpointId);
+
+    try {
+      for (const delivery of deliveries) {
+        if (await this.attempt(delivery) === false) break;
+      }
+    } catch (error) {
+      console.error(`Webhook delivery to endpoint ${endpointId} failed:`, error.message);
+    } finally {
+      this.activeEndpoints.delete(endpointId);
+    }
+  }
+
+  /**
+   * Delete delivered and failed deliveries past the retention period
+   */
+  async pruneIfDue() {
+    if (Date.now() - this.lastPruneAt < PRUNE_INTERVAL) return;
+    this.lastPruneAt = Date.now();
+
+    const { count } = await prisma.webhookDelivery.deleteMany({
+      where: {
+        status: { in: ['DELIVERED', 'FAILED'] },
+        updatedAt: { lt: new Date(Date.now() - config.webhooks.retention) }
+      }
+    });
+
+    if (count > 0) {
+      console.log(`🧹 Deleted ${count} old webhook deliveries`);
+    }
+  }
+
+  /**
+   * Make one attempt at a delivery, then schedule a retry or finish it
+   * @returns {boolean|undefined} whether the endpoint accepted it (undefined if not sent)
+   */
+  async attempt(delivery) {
+    // Claim it - pushing nextAttemptAt out keeps other instances away while we send
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+      data: {
+        attempts: { increment: 1 },
+        nextAttemptAt: new Date(Date.now() + config.escalation.webhookTimeout * 2)
+      }
+    });
+
+    if (count === 0) return;
+
+    const endpoint = await prisma.webhookEndpoint.findUnique({
+      where: { id: delivery.endpointId }
+    });
+
+    if (!endpoint?.enabled) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'FAILED', nextAttemptAt: null, lastError: 'Endpoint disabled' }
+      });
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const result = await deviceService.sendWebhook(endpoint.url, body, {
+      headers: {
+        'X-Afkty-Event': delivery.event,
+        'X-Afkty-Delivery': delivery.id,
+        'X-Afkty-Signature': this.sign(endpoint.secret, body)
+      }
+    });
+
+    const now = new Date();
+
+    if (result.success) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: 'DELIVERED',
+          deliveredAt: now,
+          nextAttemptAt: null,
+          lastStatusCode: result.status,
+          lastError: null
+        }
+      });
+      await prisma.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: { lastSuccessAt: now, consecutiveFailures: 0 }
+      });
+      return true;
+    }
+
+    const gaveUp = attempts >= config.webhooks.maxAttempts;
+    const error = result.reason || `HTTP ${result.status}`;
+
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: gaveUp ? 'FAILED' : 'PENDING',
+        nextAttemptAt: gaveUp ? null : new Date(now.getTime() + this.backoff(attempts)),
+        lastStatusCode: result.status ?? null,
+        lastError: error.substring(0, 500)
+      }
+    });
+    const { consecutiveFailures } = await prisma.webhookEndpoint.update({
+      where: { id: endpoint.id },
+      data: { lastFailureAt: now, consecutiveFailures: { increment: 1 } },
+      select: { consecutiveFailures: true }
+    });
+
+    console.warn(`🪝 Webhook ${delivery.event} to ${endpoint.url} failed (attempt ${attempts}/${config.webhooks.maxAttempts}): ${error}${gaveUp ? ' - giving up' : ''}`);
+
+    if (consecutiveFailures >= config.webhooks.disableAfterFailures) {
+      await this.autoDisable(endpoint, consecutiveFailures);
+    }
+
+    return false;
+  }
+
+  /**
+   * Switch off an endpoint that keeps failing and drop its queue
+   * The user turns it back on (PATCH enabled: true) once it's fixed
+   */
+  async autoDisable(endpoint, consecutiveFailures) {
+    const { count } = await prisma.webhookEndpoint.updateMany({
+      where: { id: endpoint.id, enabled: true },
+      data: { enabled: false, autoDisabledAt: new Date() }
+    });
+
+    if (count === 0) return;
+
+    await prisma.webhookDelivery.updateMany({
+      where: { endpointId: endpoint.id, status: 'PENDING' },
+      data: { status: 'FAILED', nextAttemptAt: null, lastError: 'Endpoint disabled after repeated failures' }
+    });
+
+    console.warn(`🪝 Webhook endpoint ${endpoint.url} disabled after ${consecutiveFailures} consecutive failures`);
+
+    await deviceService.sendWebhookDisabledToUser(endpoint.userId, {
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      failures: consecutiveFailures
+    });
+  }
+}
+
+export default new WebhookService();
@@ -2,20 +2,49 @@ import { WebSocketServer, WebSocket } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import hubService from './hubService.js';
 import userService from './userService.js';
-import sessionService from './sessionService.js';
+import sessionService, { LIVE_STATUSES } from './sessionService.js';
 import deviceService from './deviceService.js';
 import logService from './logService.js';
+import redisService from './redis.js';
+import eventBus from './eventBus.js';
+import deadlineService from './deadlineService.js';
+import watchdogService from './watchdogService.js';
+import snoozeService from './snoozeService.js';
+import sessionGroupService from './sessionGroupService.js';
+import logRuleService from './logRuleService.js';
+import webhookService from './webhookService.js';
+import chatService from './chatService.js';
+import commandService from './commandService.js';
+import rateLimitService from './rateLimitService.js';
 import config from '../config/index.js';
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  validateMessage,
+  negotiateProtocol,
+  getCapabilities,
+  hasCapability,
+  canSend
+} from '../utils/protocol.js';
+import {
+  createSubscription,
+  subscribe,
+  unsubscribe,
+  applySubscription,
+  describeSubscription
+} from '../utils/subscriptions.js';
+
+// How often a heartbeating session re-extends its owner key (which lives 24h)
+const OWNER_REFRESH_INTERVAL = 3600000;
 
 /**
- * Rate limit configuration (messages per minute)
+ * Order two Redis stream IDs ("<ms>-<seq>")
  */
-const RATE_LIMITS = {
-  status: { max: 6, windowMs: 60000 },
-  log: { max: 30, windowMs: 60000 },
-  notify: { max: 5, windowMs: 60000 },
-  alert: { max: 5, windowMs: 60000 }
-};
+function compareEventIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
 
 /**
  * Error codes sent to SDK
@@ -30,39 +59,41 @@ const ERROR_CODES = {
   INVALID_MESSAGE: 'INVALID_MESSAGE',
   INVALID_PARAMS: 'INVALID_PARAMS',
   NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
-  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND'
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  COMMAND_NOT_FOUND: 'COMMAND_NOT_FOUND',
+  INVALID_RESUME_TOKEN: 'INVALID_RESUME_TOKEN',
+  UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+  AUTH_TIMEOUT: 'AUTH_TIMEOUT',
+  TOO_MANY_CONNECTIONS: 'TOO_MANY_CONNECTIONS'
 };
 
 class WebSocketServiceV2 {
   constructor() {
     this.wss = null;
     this.clients = new Map(); // ws -> ClientInfo
-    this.rateLimits = new Map();
-    this.heartbeatTimers = new Map(); // sessionId -> timer
+    this.unauthenticatedByIp = new Map(); // ip -> sockets that haven't authenticated yet
+    this.pingTimer = null;
   }
 
   /**
-   * Check rate limit
+   * Check a rate limit for the client's session
+   * `cost` lets batched messages count once per entry
+   * Sends RATE_LIMITED and returns false when over the limit
    */
-  checkRateLimit(clientId, type) {
-    const limit = RATE_LIMITS[type];
-    if (!limit) return true;
-
-    const key = `${clientId}:${type}`;
-    const now = Date.now();
-    const record = this.rateLimits.get(key);
-
-    if (!record || now > record.resetTime) {
-      this.rateLimits.set(key, { count: 1, resetTime: now + limit.windowMs });
-      return true;
-    }
+  async checkRateLimit(ws, client, type, cost = 1) {
+    const result = await rateLimitService.consume({
+      sessionId: client.sessionId,
+      hubId: client.hubId,
+      tier: client.tier
+    }, type, cost);
 
-    if (record.count >= limit.max) {
-      return false;
+    if (!result.allowed) {
+      this.sendError(ws, ERROR_CODES.RATE_LIMITED, rateLimitService.describe(type, result.limit), {
+        retryAfter: result.retryAfter
+      });
     }
 
-    record.count++;
-    return true;
+    return result.allowed;
   }
 
   /**
@@ -71,30 +102,63 @@ class WebSocketServiceV2 {
   initialize(server) {
     this.wss = new WebSocketServer({ 
       server,
-      path: '/ws'
+      path: '/ws',
+      maxPayload: config.websocket.maxPayload
     });
 
     this.wss.on('connection', (ws, req) => {
       const clientId = uuidv4();
-      const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+      const clientIp = this.resolveClientIp(req);
+
+      // Cap sockets that haven't authenticated yet, per IP
+      const pending = this.unauthenticatedByIp.get(clientIp) || 0;
+      if (pending >= config.websocket.maxUnauthenticatedPerIp) {
+        console.warn(`🚫 Too many unauthenticated sockets from ${clientIp}`);
+        ws.on('error', () => {}); // A reset while closing must not surface as an unhandled 'error'
+        this.sendError(ws, ERROR_CODES.TOO_MANY_CONNECTIONS, 'Too many pending connections from this address');
+        ws.close(1008, 'Too many connections');
+        return;
+      }
+      this.unauthenticatedByIp.set(clientIp, pending + 1);
       
       if (config.nodeEnv === 'development') {
         console.log(`🔌 New WebSocket connection: ${clientId.substring(0, 8)}... from ${clientIp}`);
       }
 
       // Initialize client metadata
-      this.clients.set(ws, {
+      const client = {
         id: clientId,
         type: null,           // 'roblox' or 'mobile'
         userId: null,
         hubId: null,
+        tier: null,
         sessionId: null,
+        placeId: null,        // roblox: for place-scoped snoozes
         authenticated: false,
+        protocolVersion: null,
+        heartbeatTimeout: null, // roblox: agreed Dead Man's Switch timeout (ms), floor of the adaptive one
+        heartbeatProfile: null, // roblox: learned gap average/deviation
+        lastHeartbeatAt: null,
+        stallTimeout: null,   // roblox: progress watchdog (ms), null = off
+        progressHash: null,   // roblox: fingerprint of the last status + data
+        replaying: false,     // mobile: live events are held in pendingEvents until replay finishes
+        pendingEvents: [],
+        subscription: null,   // mobile: event filter, null = everything
         connectedAt: Date.now(),
-        ip: clientIp
-      });
+        ip: clientIp,
+        isAlive: true,        // cleared on each ping sweep, set again by pong or any message
+        holdsAuthSlot: true,  // counted in unauthenticatedByIp
+        authTimer: setTimeout(() => this.handleAuthTimeout(ws), config.websocket.authTimeout)
+      };
+      this.clients.set(ws, client);
 
-      ws.on('message', (data) => this.handleMessage(ws, data));
+      ws.on('pong', () => {
+        client.isAlive = true;
+      });
+      ws.on('message', (data) => {
+        client.isAlive = true;
+        this.handleMessage(ws, data);
+      });
       ws.on('close', () => this.handleClose(ws));
       ws.on('error', (error) => this.handleError(ws, error));
 
@@ -103,13 +167,76 @@ class WebSocketServiceV2 {
         type: 'connected',
         clientId,
         serverVersion: '2.0.0',
+        protocolVersion: PROTOCOL_VERSION,
         timestamp: Date.now()
       });
     });
 
+    this.registerEventBusHandlers();
+
+    // Sweep persisted Dead Man's Switch deadlines
+    deadlineService.start((sessionId) => this.triggerDeadManSwitch(sessionId));
+
+    // Sweep for sessions that are alive but stuck or past their plan
+    watchdogService.start({
+      onStalled: (session, stalledMinutes) => this.handleSessionStalled(session, stalledMinutes),
+      onOverrun: (session, overrunMinutes) => this.handleSessionOverrun(session, overrunMinutes)
+    });
+
+    // Telegram /stop
+    chatService.setCommandHandler((userId, sessionId, command) => this.sendCommand(userId, sessionId, command));
+
+    // Protocol-level liveness for every socket (mobile sockets have no heartbeat of their own)
+    this.pingTimer = setInterval(() => this.pingClients(), config.websocket.pingInterval);
+
     console.log('✓ WebSocket server v2 initialized on /ws');
   }
 
+  /**
+   * Address of the client, as seen by the outermost trusted proxy
+   * Each trusted proxy appends one hop to X-Forwarded-For; anything left of
+   * those hops was written by the client and is ignored
+   */
+  resolveClientIp(req) {
+    const hops = config.websocket.trustedProxyHops;
+    const forwarded = req.headers['x-forwarded-for'];
+
+    if (hops <= 0 || typeof forwarded !== 'string') {
+      return req.socket.remoteAddress;
+    }
+
+    const chain = [...forwarded.split(',').map(address => address.trim()).filter(Boolean), req.socket.remoteAddress];
+    return chain[Math.max(chain.length - 1 - hops, 0)];
+  }
+
+  /**
+   * Handle events routed from other server instances
+   */
+  registerEventBusHandlers() {
+    // Mobile notifications raised on another instance
+    eventBus.on('mobile_event', ({ userId, data }) => {
+      this.deliverToMobileApps(userId, data);
+    });
+
+    // Mobile -> SDK command for a socket held by this instance
+    eventBus.on('command', ({ sessionId, userId, message }) => {
+      const targetWs = this.findSessionSocket(sessionId, userId);
+      if (targetWs) {
+        this.send(targetWs, message);
+      }
+    });
+
+    // Session resumed on another instance - drop our stale socket
+    eventBus.on('session_claimed', ({ sessionId }) => {
+      this.detachSessionSockets(sessionId, null);
+    });
+
+    // Dead Man's Switch fired elsewhere for a socket we still hold
+    eventBus.on('session_timed_out', ({ sessionId }) => {
+      this.closeSessionSockets(sessionId);
+    });
+  }
+
   /**
    * Main message handler
    */
@@ -118,17 +245,40 @@ class WebSocketServiceV2 {
     
     try {
       const message = JSON.parse(data.toString());
+
+      if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Message type is required');
+        return;
+      }
       
       if (config.nodeEnv === 'development') {
         console.log(`📨 [${client.id.substring(0, 8)}] ${message.type}`);
       }
 
+      // Reject malformed frames before they reach a handler
+      const errors = validateMessage(message);
+      if (errors.length > 0) {
+        const summary = errors.map(e => `${e.field} ${e.error}`).join('; ');
+        this.sendError(ws, ERROR_CODES.INVALID_PARAMS, `Invalid ${message.type} message: ${summary}`, errors);
+        return;
+      }
+
+      // Message types from a newer protocol than the client negotiated
+      if (client.authenticated && !canSend(client.protocolVersion, message.type)) {
+        this.sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL, `${message.type} is not available at protocol version ${client.protocolVersion}`);
+        return;
+      }
+
       switch (message.type) {
         // === Authentication ===
         case 'connect':
           await this.handleConnect(ws, client, message);
           break;
 
+        case 'resume':
+          await this.handleResume(ws, client, message);
+          break;
+
         // === Heartbeat ===
         case 'ping':
         case 'heartbeat':
@@ -140,6 +290,10 @@ class WebSocketServiceV2 {
           await this.handleLog(ws, client, message);
           break;
 
+        case 'log_batch':
+          await this.handleLogBatch(ws, client, message);
+          break;
+
         case 'status':
           await this.handleStatus(ws, client, message);
           break;
@@ -152,6 +306,14 @@ class WebSocketServiceV2 {
           await this.handleAlert(ws, client, message);
           break;
 
+        case 'command_result':
+          await this.handleCommandResult(ws, client, message);
+          break;
+
+        case 'plan':
+          await this.handlePlan(ws, client, message);
+          break;
+
         case 'disconnect':
           await this.handleDisconnect(ws, client, message);
           break;
@@ -169,6 +331,22 @@ class WebSocketServiceV2 {
           await this.handleCommand(ws, client, message);
           break;
 
+        case 'snooze':
+          await this.handleSnooze(ws, client, message);
+          break;
+
+        case 'unsnooze':
+          await this.handleUnsnooze(ws, client, message);
+          break;
+
+        case 'subscribe':
+          this.handleSubscribe(ws, client, message);
+          break;
+
+        case 'unsubscribe':
+          this.handleUnsubscribe(ws, client, message);
+          break;
+
         default:
           this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, `Unknown message type: ${message.type}`);
       }
@@ -176,6 +354,10 @@ class WebSocketServiceV2 {
       console.error('Error handling message:', error);
       this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
     }
+
+    if (client.authenticated) {
+      this.releaseAuthSlot(client);
+    }
   }
 
   // ============================================================================
@@ -188,6 +370,11 @@ class WebSocketServiceV2 {
   async handleConnect(ws, client, message) {
     const { hubKey, userToken, gameInfo } = message;
 
+    const protocolVersion = this.negotiateProtocolVersion(ws, message.protocolVersion);
+    if (!protocolVersion) {
+      return ws.close();
+    }
+
     // === Validate Hub API Key ===
     if (!hubKey) {
       this.sendError(ws, ERROR_CODES.INVALID_HUB_KEY, 'Hub API key is required');
@@ -232,13 +419,44 @@ class WebSocketServiceV2 {
     const hub = hubResult.hub;
     const user = userResult.user;
 
+    const heartbeat = sessionService.negotiateHeartbeat({
+      heartbeatInterval: message.heartbeatInterval,
+      heartbeatTimeout: message.heartbeatTimeout
+    }, user.heartbeatTimeout);
+
+    const stallTimeout = sessionService.resolveStallTimeout(message.stallTimeout, user.stallTimeout);
+
+    // An unusable plan shouldn't cost the user their monitoring - connect without one
+    const plan = sessionService.resolvePlan(message.plan);
+    if (plan.error) {
+      console.warn(`⚠️ Ignoring session plan: ${plan.error}`);
+    }
+
+    const groupId = await sessionGroupService.resolveGroupId(user.id, {
+      group: message.group,
+      placeId: gameInfo?.placeId
+    });
+
     const session = await sessionService.createSession({
       userId: user.id,
       hubId: hub.id,
       wsClientId: client.id,
-      gameInfo
+      gameInfo,
+      heartbeat,
+      stallTimeout,
+      plannedEndAt: plan.plannedEndAt ?? null,
+      groupId
     });
 
+    // A new member replaces one that went down
+    if (groupId) {
+      try {
+        await sessionGroupService.memberJoined(groupId);
+      } catch (error) {
+        console.error(`Failed to update session group ${groupId}:`, error.message);
+      }
+    }
+
     // Increment hub connection count
     await hubService.incrementConnections(hub.id);
 
@@ -246,18 +464,40 @@ class WebSocketServiceV2 {
     client.type = 'roblox';
     client.userId = user.id;
     client.hubId = hub.id;
+    client.tier = user.tier;
     client.sessionId = session.id;
     client.authenticated = true;
+    client.protocolVersion = protocolVersion;
+    client.heartbeatTimeout = heartbeat.heartbeatTimeout;
+    client.heartbeatProfile = null;
+    client.lastHeartbeatAt = Date.now();
+    client.stallTimeout = stallTimeout;
+    client.progressHash = null;
+    client.placeId = session.gamePlaceId;
     this.clients.set(ws, client);
 
     // Start heartbeat monitoring (Dead Man's Switch)
-    this.startHeartbeatMonitor(client.id, session.id, user.id);
+    await this.startHeartbeatMonitor(session.id, client.heartbeatTimeout);
+
+    // Route commands for this session to this instance
+    await eventBus.claimSession(session.id);
+    client.ownerRefreshedAt = Date.now();
+
+    // Resume token lets a quick reconnect re-attach to this session
+    const resumeToken = await sessionService.issueResumeToken(session.id);
 
     console.log(`✓ SDK connected: user=${user.username}, hub=${hub.name}, game=${gameInfo?.name || 'Unknown'}`);
 
     this.send(ws, {
       type: 'authenticated',
       sessionId: session.id,
+      resumeToken,
+      protocolVersion,
+      capabilities: getCapabilities(protocolVersion),
+      heartbeatInterval: heartbeat.heartbeatInterval,
+      heartbeatTimeout: heartbeat.heartbeatTimeout,
+      stallTimeout,
+      plannedEndAt: session.plannedEndAt,
       user: {
         username: user.username,
         hasDevices: user.devices.length > 0
@@ -289,6 +529,15 @@ class WebSocketServiceV2 {
       timestamp: Date.now()
     });
 
+    webhookService.emit(user.id, 'session_started', {
+      sessionId: session.id,
+      gameName: gameInfo?.name || 'Unknown Game',
+      hubName: hub.name,
+      placeId: gameInfo?.placeId?.toString() || null,
+      jobId: gameInfo?.jobId || null,
+      connectedAt: session.connectedAt
+    });
+
     // Also send the log entry to mobile apps for real-time display
     if (startLog) {
       this.notifyMobileApps(user.id, {
@@ -302,69 +551,275 @@ class WebSocketServiceV2 {
     }
   }
 
-  // ============================================================================
-  // HEARTBEAT (Dead Man's Switch)
-  // ============================================================================
+  /**
+   * Handle SDK reconnect with a resume token
+   * Rebinds the new socket to the existing session instead of creating a new one
+   */
+  async handleResume(ws, client, message) {
+    const { resumeToken } = message;
 
-  startHeartbeatMonitor(clientId, sessionId, userId) {
-    // Clear any existing timer
-    this.stopHeartbeatMonitor(clientId);
+    if (!resumeToken) {
+      this.sendError(ws, ERROR_CODES.INVALID_PARAMS, 'resumeToken is required');
+      return;
+    }
 
-    const timeoutMs = config.deadman?.heartbeatTimeout || 30000;
+    if (client.authenticated) {
+      this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Already authenticated');
+      return;
+    }
 
-    const timer = setTimeout(async () => {
-      console.log(`⚠️ TIMEOUT: Session ${sessionId} - no heartbeat`);
-      await this.triggerDeadManSwitch(clientId, sessionId, userId);
-    }, timeoutMs);
+    const protocolVersion = this.negotiateProtocolVersion(ws, message.protocolVersion);
+    if (!protocolVersion) {
+      return ws.close();
+    }
 
-    this.heartbeatTimers.set(clientId, { timer, sessionId, userId });
-  }
+    // Left open so the SDK can fall back to a fresh 'connect'
+    if (!canSend(protocolVersion, 'resume')) {
+      this.sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL, `resume is not available at protocol version ${protocolVersion}`);
+      return;
+    }
+
+    const session = await sessionService.consumeResumeToken(resumeToken);
+    const afterRestart = session?.status === 'RECOVERING';
+
+    // Don't close the socket - the SDK falls back to a fresh 'connect'
+    if (!session) {
+      this.sendError(ws, ERROR_CODES.INVALID_RESUME_TOKEN, 'Resume token is invalid or the session has ended');
+      return;
+    }
+
+    if (session.user.status !== 'ACTIVE') {
+      this.sendError(ws, ERROR_CODES.USER_SUSPENDED, 'User account is suspended');
+      return ws.close();
+    }
 
-  stopHeartbeatMonitor(clientId) {
-    const existing = this.heartbeatTimers.get(clientId);
-    if (existing) {
-      clearTimeout(existing.timer);
-      this.heartbeatTimers.delete(clientId);
+    if (session.hub && session.hub.status !== 'APPROVED') {
+      const code = session.hub.status === 'SUSPENDED' ? ERROR_CODES.HUB_SUSPENDED : ERROR_CODES.HUB_NOT_APPROVED;
+      this.sendError(ws, code, `Hub is ${session.hub.status.toLowerCase()}`);
+      return ws.close();
+    }
+
+    // Drop any half-open socket still bound to this session
+    this.detachSessionSockets(session.id, ws);
+
+    await sessionService.resumeSession(session.id, client.id);
+
+    // Update client metadata
+    client.type = 'roblox';
+    client.userId = session.userId;
+    client.hubId = session.hubId;
+    client.tier = session.user.tier;
+    client.sessionId = session.id;
+    client.authenticated = true;
+    client.protocolVersion = protocolVersion;
+    client.heartbeatTimeout = session.heartbeatTimeout ?? config.deadman.heartbeatTimeout;
+    client.heartbeatProfile = sessionService.loadHeartbeatProfile(session);
+    client.lastHeartbeatAt = Date.now(); // The reconnect gap isn't part of the rhythm
+    client.stallTimeout = session.stallTimeout;
+    client.progressHash = session.progressHash;
+    client.placeId = session.gamePlaceId;
+    this.clients.set(ws, client);
+
+    // Push back the pending Dead Man's Switch, keeping what was learned before the drop
+    await this.startHeartbeatMonitor(
+      session.id,
+      sessionService.adaptiveTimeout(client.heartbeatProfile, client.heartbeatTimeout)
+    );
+
+    // The old socket may have lived on another instance
+    const previousOwner = await eventBus.claimSession(session.id);
+    client.ownerRefreshedAt = Date.now();
+    if (previousOwner) {
+      await eventBus.sendToNode(previousOwner, 'session_claimed', { sessionId: session.id });
+    }
+
+    // Tokens are single use - hand out a fresh one for the next reconnect
+    const newResumeToken = await sessionService.issueResumeToken(session.id);
+
+    console.log(`✓ SDK resumed: user=${session.user.username}, session=${session.id}${afterRestart ? ' (after restart)' : ''}`);
+
+    this.send(ws, {
+      type: 'authenticated',
+      sessionId: session.id,
+      resumed: true,
+      resumeToken: newResumeToken,
+      protocolVersion,
+      capabilities: getCapabilities(protocolVersion),
+      heartbeatInterval: session.heartbeatInterval ?? config.deadman.heartbeatInterval,
+      heartbeatTimeout: client.heartbeatTimeout,
+      stallTimeout: client.stallTimeout,
+      plannedEndAt: session.plannedEndAt,
+      user: {
+        username: session.user.username,
+        hasDevices: session.user.devices.length > 0
+      },
+      hub: {
+        name: session.hub?.name
+      },
+      message: 'Session resumed'
+    });
+
+    const resumeMessage = afterRestart ? 'Session resumed after server restart' : 'Session resumed after reconnect';
+    const resumeLog = await logService.createLog({
+      sessionId: session.id,
+      userId: session.userId,
+      level: 'info',
+      message: resumeMessage,
+    });
+
+    this.notifyMobileApps(session.userId, {
+      type: 'session_resumed',
+      sessionId: session.id,
+      afterRestart,
+      timestamp: Date.now()
+    });
+
+    if (resumeLog) {
+      this.notifyMobileApps(session.userId, {
+        type: 'log',
+        id: resumeLog.id,
+        sessionId: session.id,
+        level: 'info',
+        message: resumeMessage,
+        timestamp: Date.now()
+      });
     }
   }
 
-  resetHeartbeatMonitor(clientId) {
-    const existing = this.heartbeatTimers.get(clientId);
-    if (existing) {
-      this.startHeartbeatMonitor(clientId, existing.sessionId, existing.userId);
-      return true;
+  /**
+   * Close other sockets still bound to a session (e.g. half-open after a network blip)
+   */
+  detachSessionSockets(sessionId, exceptWs) {
+    for (const [otherWs, otherClient] of this.clients.entries()) {
+      if (otherWs !== exceptWs && otherClient.type === 'roblox' && otherClient.sessionId === sessionId) {
+        // Unbind first so handleClose doesn't report the session as lost
+        otherClient.authenticated = false;
+        otherClient.sessionId = null;
+        otherWs.close(4000, 'Session resumed on another connection');
+      }
     }
-    return false;
   }
 
-  async triggerDeadManSwitch(clientId, sessionId, userId) {
+  // ============================================================================
+  // HEARTBEAT (Dead Man's Switch)
+  // ============================================================================
+
+  async startHeartbeatMonitor(sessionId, timeoutMs = config.deadman.heartbeatTimeout) {
+    await deadlineService.schedule(sessionId, timeoutMs);
+  }
+
+  async stopHeartbeatMonitor(sessionId) {
+    await deadlineService.cancel(sessionId);
+  }
+
+  async triggerDeadManSwitch(sessionId) {
+    const session = await sessionService.getSessionById(sessionId);
+
+    // Session ended cleanly in the meantime
+    if (!session || !LIVE_STATUSES.includes(session.status)) {
+      return;
+    }
+
     console.log(`🚨 DEAD MAN'S SWITCH TRIGGERED for session ${sessionId}`);
 
     // Handle in session service (sends alerts)
-    const result = await sessionService.handleTimeout(clientId);
+    const result = await sessionService.handleTimeout(session.wsClientId);
 
     if (result) {
-      // Close the WebSocket if still open
-      for (const [ws, client] of this.clients.entries()) {
-        if (client.id === clientId) {
-          ws.close();
-          break;
-        }
+      // Webhooks get every timeout - quiet hours, snoozes and groups only hold back pushes
+      webhookService.emit(session.userId, 'timeout', {
+        sessionId,
+        gameName: session.gameName || 'Unknown Game',
+        hubName: session.hub?.name || null,
+        placeId: session.gamePlaceId,
+        lastStatus: session.currentStatus,
+        alertSent: result.alertSent,
+        reason: result.reason || null,
+        lastHeartbeatAt: session.lastHeartbeatAt
+      });
+
+      // Chat follows the pushes
+      if (result.alertSent) {
+        chatService.notify(session.userId, 'timeout', {
+          alertId: result.alert?.id,
+          reason: result.alert?.reason,
+          gameName: session.gameName || 'Unknown Game',
+          hubName: session.hub?.name || null,
+          lastStatus: session.currentStatus
+        });
+      }
+
+      // Close the WebSocket if still open - it may live on another instance
+      const owner = await eventBus.getSessionOwner(sessionId);
+      const routed = owner && owner !== eventBus.instanceId
+        && await eventBus.sendToNode(owner, 'session_timed_out', { sessionId });
+      if (!routed) {
+        this.closeSessionSockets(sessionId);
       }
     }
   }
 
+  /**
+   * Watchdog fired: the session heartbeats but its status hasn't changed
+   * (the push notification is sent by the watchdog)
+   */
+  async handleSessionStalled(session, stalledMinutes) {
+    await this.notifyMobileApps(session.userId, {
+      type: 'session_stalled',
+      sessionId: session.id,
+      gameName: session.gameName,
+      currentStatus: session.currentStatus,
+      lastProgressAt: session.lastProgressAt,
+      stalledMinutes,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Watchdog fired: the session is still running past its planned end
+   */
+  async handleSessionOverrun(session, overrunMinutes) {
+    await this.notifyMobileApps(session.userId, {
+      type: 'session_overrun',
+      sessionId: session.id,
+      gameName: session.gameName,
+      plannedEndAt: session.plannedEndAt,
+      overrunMinutes,
+      timestamp: Date.now()
+    });
+  }
+
   async handleHeartbeat(ws, client) {
     if (!client.authenticated || client.type !== 'roblox') {
       return;
     }
 
+    // Learn this session's rhythm so jittery clients get more slack
+    const now = Date.now();
+    if (client.lastHeartbeatAt) {
+      client.heartbeatProfile = sessionService.recordHeartbeatGap(client.heartbeatProfile, now - client.lastHeartbeatAt);
+    }
+    client.lastHeartbeatAt = now;
+
+    const timeout = sessionService.adaptiveTimeout(client.heartbeatProfile, client.heartbeatTimeout);
+
     // Reset dead man's switch
-    const reset = this.resetHeartbeatMonitor(client.id);
+    await this.startHeartbeatMonitor(client.sessionId, timeout);
+
+    // Sessions outlive the owner key's TTL - keep it (or re-create it if Redis lost it)
+    if (now - (client.ownerRefreshedAt || 0) >= OWNER_REFRESH_INTERVAL) {
+      client.ownerRefreshedAt = now;
+      if (!await eventBus.refreshSession(client.sessionId) && !await eventBus.getSessionOwner(client.sessionId)) {
+        await eventBus.claimSession(client.sessionId);
+      }
+    }
 
     // Update session heartbeat in DB
     if (client.sessionId) {
-      await sessionService.updateHeartbeat(client.id);
+      await sessionService.updateHeartbeat(
+        client.id,
+        client.heartbeatProfile && { ...client.heartbeatProfile, timeout }
+      );
     }
 
     this.send(ws, {
@@ -380,45 +835,105 @@ class WebSocketServiceV2 {
   async handleLog(ws, client, message) {
     if (!this.requireAuth(ws, client, 'roblox')) return;
 
-    if (!this.checkRateLimit(client.id, 'log')) {
-      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Log messages limited to 30 per minute');
-      return;
-    }
+    if (!await this.checkRateLimit(ws, client, 'log')) return;
 
     const { message: logMessage, level = 'info' } = message;
-    const timestamp = Date.now();
 
-    // Store in database for persistence
-    const savedLog = await logService.createLog({
+    // Buffered; persisted by the next batched flush
+    const entry = logService.bufferLog({
       sessionId: client.sessionId,
       userId: client.userId,
       level,
       message: logMessage,
     });
 
-    // Forward to mobile/web apps via WebSocket
+    // Forward to mobile/web apps via WebSocket (truncated and normalized like the stored copy)
     this.notifyMobileApps(client.userId, {
       type: 'log',
-      id: savedLog?.id || timestamp.toString(),
+      id: entry.id,
       sessionId: client.sessionId,
-      message: logMessage,
-      level,
-      timestamp
+      message: entry.message,
+      level: entry.level.toLowerCase(),
+      timestamp: entry.createdAt.getTime()
     });
+
+    logRuleService.evaluate(this.ruleContext(client), [
+      { source: 'log', level: entry.level, text: entry.message }
+    ]);
+  }
+
+  /**
+   * Handle batched logs from SDK
+   * Each entry counts against the log rate limit
+   */
+  async handleLogBatch(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'roblox')) return;
+
+    const { logs } = message;
+
+    if (!await this.checkRateLimit(ws, client, 'log', logs.length)) return;
+
+    const entries = logs.map(log => {
+      const entry = logService.bufferLog({
+        sessionId: client.sessionId,
+        userId: client.userId,
+        level: log.level || 'info',
+        message: log.message,
+        timestamp: log.timestamp,
+      });
+
+      return {
+        id: entry.id,
+        message: entry.message,
+        level: entry.level.toLowerCase(),
+        timestamp: entry.createdAt.getTime()
+      };
+    });
+
+    // One frame for the whole batch (split per-entry for older clients on delivery)
+    this.notifyMobileApps(client.userId, {
+      type: 'log_batch',
+      sessionId: client.sessionId,
+      logs: entries,
+      timestamp: Date.now()
+    });
+
+    logRuleService.evaluate(
+      this.ruleContext(client),
+      entries.map(entry => ({ source: 'log', level: entry.level, text: entry.message }))
+    );
+  }
+
+  /**
+   * What log rules can filter on for this SDK client
+   */
+  ruleContext(client) {
+    return {
+      userId: client.userId,
+      sessionId: client.sessionId,
+      hubId: client.hubId,
+      placeId: client.placeId
+    };
   }
 
   async handleStatus(ws, client, message) {
     if (!this.requireAuth(ws, client, 'roblox')) return;
 
-    if (!this.checkRateLimit(client.id, 'status')) {
-      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Status updates limited to 6 per minute');
-      return;
-    }
+    if (!await this.checkRateLimit(ws, client, 'status')) return;
 
     const { status, data } = message;
 
+    // Any change in status or data counts as progress for the watchdog
+    const hash = sessionService.progressFingerprint(status, data);
+    const progressed = hash !== client.progressHash;
+    client.progressHash = hash;
+
     // Update session status
-    await sessionService.updateStatus(client.id, status);
+    await sessionService.updateStatus(
+      client.id,
+      status,
+      progressed ? { hash, stallTimeout: client.stallTimeout } : null
+    );
 
     // Forward to mobile apps
     this.notifyMobileApps(client.userId, {
@@ -428,15 +943,19 @@ class WebSocketServiceV2 {
       data,
       timestamp: Date.now()
     });
+
+    // Repeats of the same status and data were already checked
+    if (progressed) {
+      logRuleService.evaluate(this.ruleContext(client), [
+        { source: 'status', level: null, text: status }
+      ]);
+    }
   }
 
   async handleNotify(ws, client, message) {
     if (!this.requireAuth(ws, client, 'roblox')) return;
 
-    if (!this.checkRateLimit(client.id, 'notify')) {
-      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Notifications limited to 5 per minute');
-      return;
-    }
+    if (!await this.checkRateLimit(ws, client, 'notify')) return;
 
     const { title, message: body } = message;
 
@@ -462,6 +981,12 @@ class WebSocketServiceV2 {
       timestamp: Date.now()
     });
 
+    webhookService.emit(client.userId, 'notify', {
+      sessionId: client.sessionId,
+      title,
+      body
+    });
+
     // Also send log entry for real-time display
     if (notifyLog) {
       this.notifyMobileApps(client.userId, {
@@ -474,7 +999,14 @@ class WebSocketServiceV2 {
       });
     }
 
-    // Send FCM push notification
+    // Send FCM push notification (the app still shows it live while snoozed)
+    if (await this.isSnoozed(client)) {
+      console.log(`🔕 Notification push skipped (snoozed): ${title}`);
+      return;
+    }
+
+    chatService.notify(client.userId, 'notify', { title, body });
+
     await deviceService.sendPushToUser(client.userId, {
       title,
       body,
@@ -485,10 +1017,7 @@ class WebSocketServiceV2 {
   async handleAlert(ws, client, message) {
     if (!this.requireAuth(ws, client, 'roblox')) return;
 
-    if (!this.checkRateLimit(client.id, 'alert')) {
-      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Alerts limited to 5 per minute');
-      return;
-    }
+    if (!await this.checkRateLimit(ws, client, 'alert')) return;
 
     const { reason, title } = message;
     const alertReason = reason || 'Critical alert from script';
@@ -520,6 +1049,8 @@ class WebSocketServiceV2 {
       timestamp: Date.now()
     });
 
+    webhookService.emit(client.userId, 'alert', alertData);
+
     // Also send log entry for real-time display
     if (alertLog) {
       this.notifyMobileApps(client.userId, {
@@ -532,22 +1063,70 @@ class WebSocketServiceV2 {
       });
     }
 
-    // Send FCM critical alert
+    // Send FCM critical alert (no siren while snoozed)
+    if (await this.isSnoozed(client)) {
+      console.log(`🔕 Alert push skipped (snoozed): ${alertReason}`);
+      return;
+    }
+
+    chatService.notify(client.userId, 'alert', alertData);
+
     await deviceService.sendCriticalAlertToUser(client.userId, alertData);
 
     console.log(`🚨 Alert sent: ${alertReason}`);
   }
 
+  async isSnoozed(client) {
+    const snooze = await snoozeService.findSnooze(client.userId, {
+      sessionId: client.sessionId,
+      placeId: client.placeId
+    });
+    return Boolean(snooze);
+  }
+
+  /**
+   * SDK declares (or clears) when the session is expected to end
+   */
+  async handlePlan(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'roblox')) return;
+
+    const plan = sessionService.resolvePlan(message);
+    if (plan.error) {
+      this.sendError(ws, ERROR_CODES.INVALID_PARAMS, plan.error);
+      return;
+    }
+
+    await sessionService.setPlan(client.sessionId, plan.plannedEndAt);
+
+    this.send(ws, {
+      type: 'plan_updated',
+      plannedEndAt: plan.plannedEndAt
+    });
+
+    this.notifyMobileApps(client.userId, {
+      type: 'session_plan_updated',
+      sessionId: client.sessionId,
+      plannedEndAt: plan.plannedEndAt,
+      timestamp: Date.now()
+    });
+  }
+
   async handleDisconnect(ws, client, message) {
     if (!this.requireAuth(ws, client, 'roblox')) return;
 
     const reason = message.reason || 'Script disconnected';
 
     // Stop monitoring
-    this.stopHeartbeatMonitor(client.id);
+    await this.stopHeartbeatMonitor(client.sessionId);
 
-    // Update session
-    await sessionService.disconnectSession(client.id, 'MANUAL', reason);
+    // Update session - a stop before the planned end is treated as a failure
+    const session = await sessionService.disconnectSession(client.id, 'MANUAL', reason);
+    const earlyStop = session?.disconnectReason === 'EARLY_STOP';
+    await eventBus.releaseSession(client.sessionId);
+
+    if (earlyStop) {
+      await sessionService.handleEarlyStop(client.sessionId);
+    }
 
     // Create persistent log for session end
     const endLog = await logService.createLog({
@@ -562,9 +1141,18 @@ class WebSocketServiceV2 {
       type: 'session_ended',
       sessionId: client.sessionId,
       reason,
+      earlyStop,
       timestamp: Date.now()
     });
 
+    webhookService.emit(client.userId, 'session_ended', {
+      sessionId: client.sessionId,
+      gameName: session?.gameName || 'Unknown Game',
+      reason,
+      earlyStop,
+      disconnectedAt: session?.disconnectedAt
+    });
+
     // Also send log entry for real-time display
     if (endLog) {
       this.notifyMobileApps(client.userId, {
@@ -593,13 +1181,18 @@ class WebSocketServiceV2 {
    * Handle mobile app authentication with JWT token
    */
   async handleMobileAuthenticate(ws, client, message) {
-    const { token, deviceId } = message;
+    const { token, deviceId, lastEventId } = message;
 
     if (!token) {
       this.sendError(ws, ERROR_CODES.NOT_AUTHENTICATED, 'Token is required');
       return;
     }
 
+    const protocolVersion = this.negotiateProtocolVersion(ws, message.protocolVersion);
+    if (!protocolVersion) {
+      return;
+    }
+
     try {
       // Verify JWT token
       const jwt = await import('jsonwebtoken');
@@ -627,20 +1220,31 @@ class WebSocketServiceV2 {
       client.userId = user.id;
       client.deviceId = deviceId;
       client.authenticated = true;
+      client.protocolVersion = protocolVersion;
+      client.replaying = Boolean(lastEventId);
+      client.subscription = message.subscription
+        ? subscribe(createSubscription(), message.subscription)
+        : null;
       this.clients.set(ws, client);
 
       // Get active sessions
       const sessions = await sessionService.getActiveSessionsByUser(user.id);
 
+      // Fresh clients get the current stream position to resume from next time
+      const eventCursor = lastEventId ? null : await this.getLatestEventId(user.id);
+
       console.log(`📱 Mobile authenticated: ${user.username} (${sessions.length} active sessions)`);
 
       this.send(ws, {
         type: 'authenticated',
+        protocolVersion,
+        capabilities: getCapabilities(protocolVersion),
         user: {
           id: user.id,
           username: user.username
         },
         userToken: user.userToken,
+        ...(eventCursor && { lastEventId: eventCursor }),
         sessions: sessions.map(s => ({
           id: s.id,
           gameName: s.gameName,
@@ -648,21 +1252,86 @@ class WebSocketServiceV2 {
           placeId: s.gamePlaceId,
           jobId: s.gameJobId,
           executor: s.executor,
-          status: 'ACTIVE',
+          status: s.status,
           currentStatus: s.currentStatus,
           connectedAt: s.connectedAt,
-          lastHeartbeat: s.lastHeartbeatAt
+          lastHeartbeat: s.lastHeartbeatAt,
+          heartbeat: sessionService.describeHeartbeat(s),
+          stallTimeout: s.stallTimeout,
+          lastProgressAt: s.lastProgressAt,
+          stalledAt: s.stalledAt,
+          plannedEndAt: s.plannedEndAt
         }))
       });
+
+      if (lastEventId) {
+        await this.replayMobileEvents(ws, client, lastEventId);
+      }
     } catch (error) {
       console.error('Mobile auth error:', error.message);
       this.sendError(ws, ERROR_CODES.NOT_AUTHENTICATED, 'Authentication failed');
     }
   }
 
+  /**
+   * Send a reconnecting mobile client the events it missed since lastEventId
+   * Live events are held back meanwhile and flushed (deduplicated) afterwards
+   */
+  async replayMobileEvents(ws, client, lastEventId) {
+    let cursor = lastEventId;
+    let count = 0;
+    let truncated = false;
+
+    try {
+      const limit = config.events.replayLimit;
+
+      // Newest first, back to and including the client's last seen event
+      const entries = await redisService.getUserEventsSince(client.userId, lastEventId, limit + 1);
+
+      if (entries.at(-1)?.id === lastEventId) {
+        entries.pop();
+      } else {
+        // Anchor was trimmed or expired, or more than `limit` events were missed
+        truncated = true;
+        if (entries.length > limit) entries.pop();
+      }
+
+      for (const entry of entries.reverse()) {
+        this.sendToMobileClient(ws, client, { ...entry.data, eventId: entry.id, replayed: true });
+        cursor = entry.id;
+        count++;
+      }
+    } catch (error) {
+      console.error('Event replay failed:', error.message);
+      truncated = true;
+    }
+
+    this.send(ws, {
+      type: 'replay_complete',
+      count,
+      truncated,
+      lastEventId: cursor
+    });
+
+    client.replaying = false;
+    const pending = client.pendingEvents;
+    client.pendingEvents = [];
+
+    for (const event of pending) {
+      if (!event.eventId || compareEventIds(event.eventId, cursor) > 0) {
+        this.sendToMobileClient(ws, client, event);
+      }
+    }
+  }
+
   async handleMobileRegister(ws, client, message) {
     const { userId, userToken, fcmToken, deviceName, platform, appVersion } = message;
 
+    const protocolVersion = this.negotiateProtocolVersion(ws, message.protocolVersion);
+    if (!protocolVersion) {
+      return;
+    }
+
     // Can authenticate via userId (legacy) or userToken (new)
     let user;
     
@@ -689,6 +1358,7 @@ class WebSocketServiceV2 {
     client.type = 'mobile';
     client.userId = user.id;
     client.authenticated = true;
+    client.protocolVersion = protocolVersion;
     this.clients.set(ws, client);
 
     // Register device for FCM if token provided
@@ -708,6 +1378,8 @@ class WebSocketServiceV2 {
 
     this.send(ws, {
       type: 'registered',
+      protocolVersion,
+      capabilities: getCapabilities(protocolVersion),
       user: {
         id: user.id,
         username: user.username
@@ -719,42 +1391,207 @@ class WebSocketServiceV2 {
         placeId: s.gamePlaceId,
         jobId: s.gameJobId,
         executor: s.executor,
-        status: 'ACTIVE',
+        status: s.status,
         currentStatus: s.currentStatus,
         connectedAt: s.connectedAt,
-        lastHeartbeat: s.lastHeartbeatAt
+        lastHeartbeat: s.lastHeartbeatAt,
+        heartbeat: sessionService.describeHeartbeat(s),
+        stallTimeout: s.stallTimeout,
+        lastProgressAt: s.lastProgressAt,
+        stalledAt: s.stalledAt,
+        plannedEndAt: s.plannedEndAt
       }))
     });
   }
 
+  /**
+   * Narrow the events this mobile client receives
+   */
+  handleSubscribe(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'mobile')) return;
+
+    client.subscription = subscribe(client.subscription || createSubscription(), message);
+    this.sendSubscription(ws, client);
+  }
+
+  handleUnsubscribe(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'mobile')) return;
+
+    client.subscription = unsubscribe(client.subscription || createSubscription(), message);
+    this.sendSubscription(ws, client);
+  }
+
+  async handleSnooze(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'mobile')) return;
+
+    const parsed = snoozeService.parseSnooze(message);
+    if (parsed.error) {
+      this.sendError(ws, ERROR_CODES.INVALID_PARAMS, parsed.error);
+      return;
+    }
+
+    const result = await snoozeService.createSnooze(client.userId, parsed.data);
+    if (result.error) {
+      this.sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, result.error);
+      return;
+    }
+
+    await this.broadcastSnoozes(client.userId);
+  }
+
+  async handleUnsnooze(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'mobile')) return;
+
+    // No snoozeId ends every snooze
+    await snoozeService.cancelSnooze(client.userId, message.snoozeId);
+    await this.broadcastSnoozes(client.userId);
+  }
+
+  /**
+   * Every app of the user sees the same snooze list
+   */
+  async broadcastSnoozes(userId) {
+    await this.notifyMobileApps(userId, {
+      type: 'snoozes_updated',
+      snoozes: await snoozeService.listSnoozes(userId),
+      timestamp: Date.now()
+    });
+  }
+
+  sendSubscription(ws, client) {
+    this.send(ws, {
+      type: 'subscription_updated',
+      subscription: describeSubscription(client.subscription)
+    });
+  }
+
   async handleCommand(ws, client, message) {
     if (!this.requireAuth(ws, client, 'mobile')) return;
 
-    const { sessionId, command, data } = message;
+    const { sessionId, command, data, requestId } = message;
 
     if (!sessionId || !command) {
       this.sendError(ws, ERROR_CODES.INVALID_PARAMS, 'sessionId and command are required');
       return;
     }
 
-    // Find target Roblox client
-    for (const [targetWs, targetClient] of this.clients.entries()) {
-      if (targetClient.sessionId === sessionId && targetClient.type === 'roblox') {
-        this.send(targetWs, {
-          type: 'command',
-          command,
-          data
-        });
+    const { error, record } = await this.sendCommand(client.userId, sessionId, command, data, {
+      // Tell the requesting client if the script never answers
+      onTimeout: () => this.send(ws, {
+        type: 'command_timeout',
+        commandId: record.id,
+        sessionId,
+        command,
+        timestamp: Date.now()
+      })
+    });
 
-        this.send(ws, {
-          type: 'command_sent',
-          sessionId
-        });
-        return;
+    if (error) {
+      this.sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, error);
+      return;
+    }
+
+    this.send(ws, {
+      type: 'command_sent',
+      commandId: record.id,
+      requestId,
+      sessionId
+    });
+  }
+
+  /**
+   * Send a command to a user's session, wherever its socket lives
+   * @returns {{error: string}|{record: object}} the persisted command
+   */
+  async sendCommand(userId, sessionId, command, data, { onTimeout } = {}) {
+    // Find target Roblox client on this instance, otherwise the instance holding it
+    const targetWs = this.findSessionSocket(sessionId, userId);
+    let owner = null;
+
+    if (!targetWs) {
+      owner = await eventBus.getSessionOwner(sessionId);
+      const session = owner && owner !== eventBus.instanceId
+        ? await sessionService.getSessionById(sessionId)
+        : null;
+
+      if (!session || session.userId !== userId) {
+        return { error: 'Session not connected' };
       }
     }
 
-    this.sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, 'Session not connected');
+    // Persist first so the SDK's result can always be matched
+    const record = await commandService.createCommand({
+      sessionId,
+      userId,
+      command,
+      data
+    });
+
+    const outgoing = {
+      type: 'command',
+      commandId: record.id,
+      command,
+      data
+    };
+
+    const sent = targetWs
+      ? this.send(targetWs, outgoing)
+      : await eventBus.sendToNode(owner, 'command', {
+        sessionId,
+        userId,
+        message: outgoing
+      });
+
+    if (!sent) {
+      await commandService.completeCommand(record.id, { success: false, error: 'Session not reachable' });
+      return { error: 'Session not connected' };
+    }
+
+    commandService.trackTimeout(record.id, async () => {
+      const expired = await commandService.expireCommand(record.id);
+      if (expired && onTimeout) {
+        onTimeout();
+      }
+    });
+
+    return { record };
+  }
+
+  /**
+   * Handle the SDK's answer to a command
+   */
+  async handleCommandResult(ws, client, message) {
+    if (!this.requireAuth(ws, client, 'roblox')) return;
+
+    const { commandId, success, payload, error } = message;
+
+    if (!commandId || typeof success !== 'boolean') {
+      this.sendError(ws, ERROR_CODES.INVALID_PARAMS, 'commandId and success are required');
+      return;
+    }
+
+    const record = await commandService.completeCommand(commandId, {
+      sessionId: client.sessionId,
+      success,
+      payload,
+      error: typeof error === 'string' ? error : null
+    });
+
+    if (!record) {
+      this.sendError(ws, ERROR_CODES.COMMAND_NOT_FOUND, 'Command not found or already completed');
+      return;
+    }
+
+    this.notifyMobileApps(client.userId, {
+      type: 'command_result',
+      commandId,
+      sessionId: client.sessionId,
+      command: record.command,
+      success: record.success,
+      payload: record.result,
+      error: record.error,
+      timestamp: Date.now()
+    });
   }
 
   // ============================================================================
@@ -765,6 +1602,8 @@ class WebSocketServiceV2 {
     const client = this.clients.get(ws);
     if (!client) return;
 
+    this.releaseAuthSlot(client);
+
     if (config.nodeEnv === 'development') {
       console.log(`🔌 Disconnected: ${client.id.substring(0, 8)} (${client.type || 'unknown'})`);
     }
@@ -773,6 +1612,9 @@ class WebSocketServiceV2 {
       // Don't stop monitor immediately - let Dead Man's Switch trigger
       // The timeout will fire if this was an abrupt disconnect
 
+      // Nobody holds the socket until the SDK resumes
+      await eventBus.releaseSession(client.sessionId);
+
       // Notify mobile apps
       this.notifyMobileApps(client.userId, {
         type: 'session_connection_lost',
@@ -784,6 +1626,55 @@ class WebSocketServiceV2 {
     this.clients.delete(ws);
   }
 
+  // ============================================================================
+  // SOCKET LIVENESS
+  // ============================================================================
+
+  /**
+   * Terminate sockets that missed the previous ping, then ping the rest
+   * Terminating fires 'close', which runs the normal handleClose cleanup
+   */
+  pingClients() {
+    for (const [ws, client] of this.clients.entries()) {
+      if (!client.isAlive) {
+        console.warn(`💀 Terminating unresponsive socket ${client.id.substring(0, 8)} (${client.type || 'unknown'})`);
+        ws.terminate();
+        continue;
+      }
+
+      client.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Close sockets that never sent connect/resume/authenticate
+   */
+  handleAuthTimeout(ws) {
+    const client = this.clients.get(ws);
+    if (!client || client.authenticated) return;
+
+    this.sendError(ws, ERROR_CODES.AUTH_TIMEOUT, 'Authentication timed out');
+    ws.close(1008, 'Authentication timeout');
+  }
+
+  /**
+   * Stop counting a socket against its IP's unauthenticated limit
+   */
+  releaseAuthSlot(client) {
+    if (!client.holdsAuthSlot) return;
+
+    client.holdsAuthSlot = false;
+    clearTimeout(client.authTimer);
+
+    const remaining = (this.unauthenticatedByIp.get(client.ip) || 1) - 1;
+    if (remaining > 0) {
+      this.unauthenticatedByIp.set(client.ip, remaining);
+    } else {
+      this.unauthenticatedByIp.delete(client.ip);
+    }
+  }
+
   handleError(ws, error) {
     const client = this.clients.get(ws);
     console.error(`WebSocket error [${client?.id?.substring(0, 8)}]:`, error.message);
@@ -805,25 +1696,118 @@ class WebSocketServiceV2 {
     return true;
   }
 
+  /**
+   * @returns {boolean} false if the socket is no longer open
+   */
   send(ws, data) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(data));
+    if (ws.readyState !== WebSocket.OPEN) {
+      return false;
     }
+
+    ws.send(JSON.stringify(data));
+    return true;
   }
 
-  sendError(ws, code, message) {
+  sendError(ws, code, message, details) {
     this.send(ws, {
       type: 'error',
       code,
-      message
+      message,
+      ...(details && { details })
     });
   }
 
-  notifyMobileApps(userId, data) {
+  /**
+   * Agree on a protocol version with the client
+   * Sends UNSUPPORTED_PROTOCOL and returns null if the client is too old
+   */
+  negotiateProtocolVersion(ws, requested) {
+    const version = negotiateProtocol(requested);
+
+    if (!version) {
+      this.sendError(
+        ws,
+        ERROR_CODES.UNSUPPORTED_PROTOCOL,
+        `Protocol version ${requested} is not supported (minimum ${MIN_PROTOCOL_VERSION}, current ${PROTOCOL_VERSION})`
+      );
+    }
+
+    return version;
+  }
+
+  /**
+   * Close SDK sockets for a session on this instance
+   */
+  closeSessionSockets(sessionId) {
+    for (const [ws, client] of this.clients.entries()) {
+      if (client.type === 'roblox' && client.sessionId === sessionId) {
+        ws.close();
+      }
+    }
+  }
+
+  /**
+   * Find the SDK socket for a session on this instance
+   */
+  findSessionSocket(sessionId, userId) {
+    for (const [ws, client] of this.clients.entries()) {
+      if (client.type === 'roblox' && client.sessionId === sessionId && client.userId === userId) {
+        return ws;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Notify a user's mobile apps on every server instance
+   */
+  async notifyMobileApps(userId, data) {
+    const eventId = await this.recordMobileEvent(userId, data);
+    const event = eventId ? { ...data, eventId } : data;
+
+    this.deliverToMobileApps(userId, event);
+    eventBus.broadcastToMobile(userId, event);
+  }
+
+  /**
+   * Append to the user's event stream so reconnecting clients can replay it
+   * Returns the event ID, or null if Redis is unavailable (event is still delivered live)
+   */
+  async recordMobileEvent(userId, data) {
+    try {
+      return await redisService.appendUserEvent(
+        userId,
+        data,
+        config.events.streamMaxLength,
+        config.events.streamTtl
+      );
+    } catch (error) {
+      console.error('Failed to record mobile event:', error.message);
+      return null;
+    }
+  }
+
+  async getLatestEventId(userId) {
+    try {
+      return await redisService.getLatestUserEventId(userId);
+    } catch (error) {
+      console.error('Failed to read event stream:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Deliver to mobile sockets connected to this instance
+   */
+  deliverToMobileApps(userId, data) {
     let count = 0;
     for (const [ws, client] of this.clients.entries()) {
       if (client.type === 'mobile' && client.userId === userId && client.authenticated) {
-        this.send(ws, data);
+        if (client.replaying) {
+          client.pendingEvents.push(data);
+        } else {
+          this.sendToMobileClient(ws, client, data);
+        }
         count++;
       }
     }
@@ -832,44 +1816,100 @@ class WebSocketServiceV2 {
     }
   }
 
+  /**
+   * Send to one mobile client, applying its subscription and
+   * downgrading frames it doesn't understand
+   */
+  sendToMobileClient(ws, client, event) {
+    const data = applySubscription(client.subscription, event);
+    if (!data) return;
+
+    if (data.type === 'log_batch' && !hasCapability(client.protocolVersion, 'log_batch')) {
+      for (const entry of data.logs) {
+        this.send(ws, { type: 'log', sessionId: data.sessionId, ...entry });
+      }
+      return;
+    }
+
+    this.send(ws, data);
+  }
+
   getStats() {
     const stats = {
+      instanceId: eventBus.instanceId,
       total: this.clients.size,
       roblox: 0,
       mobile: 0,
-      authenticated: 0
+      authenticated: 0,
+      unauthenticated: 0
     };
 
     for (const client of this.clients.values()) {
       if (client.type === 'roblox') stats.roblox++;
       if (client.type === 'mobile') stats.mobile++;
       if (client.authenticated) stats.authenticated++;
+      else stats.unauthenticated++;
     }
 
     return stats;
   }
 
   /**
-   * Graceful shutdown - disconnect all clients
+   * Graceful shutdown - tell clients we're restarting and close their sockets
+   * SDK sessions are kept as RECOVERING: they resume when the SDK reconnects
+   * (here or on another instance), and time out as usual if it never does
    */
   async shutdown() {
     console.log('🛑 Shutting down WebSocket server...');
 
-    // Stop all heartbeat timers
-    for (const [clientId, { timer }] of this.heartbeatTimers.entries()) {
-      clearTimeout(timer);
+    // Stop sweeping - deadlines stay in Redis for the next run
+    deadlineService.stop();
+    watchdogService.stop();
+    clearInterval(this.pingTimer);
+
+    const { restartRetryAfter, restartGracePeriod } = config.deadman;
+    const recoverBy = Date.now() + restartGracePeriod;
+    const sessions = [];
+
+    for (const client of this.clients.values()) {
+      if (client.type === 'roblox' && client.authenticated && client.sessionId) {
+        sessions.push({ sessionId: client.sessionId, userId: client.userId });
+      }
+    }
+
+    // Other instances keep sweeping - give every session the full window to come back
+    for (const { sessionId } of sessions) {
+      await this.startHeartbeatMonitor(sessionId, restartGracePeriod);
+      await eventBus.releaseSession(sessionId);
+    }
+
+    const recovering = await sessionService.markRecovering(sessions.map(s => s.sessionId));
+    if (recovering > 0) {
+      console.log(`⏳ ${recovering} session(s) held for ${Math.round(restartGracePeriod / 1000)}s while the server restarts`);
+    }
+
+    for (const { sessionId, userId } of sessions) {
+      await this.notifyMobileApps(userId, {
+        type: 'session_recovering',
+        sessionId,
+        recoverBy,
+        timestamp: Date.now()
+      });
     }
-    this.heartbeatTimers.clear();
 
     // Close all connections
     for (const [ws, client] of this.clients.entries()) {
-      if (client.type === 'roblox' && client.sessionId) {
-        await sessionService.disconnectSession(client.id, 'SERVER_SHUTDOWN', 'Server maintenance');
-      }
-      ws.close(1001, 'Server shutdown');
+      clearTimeout(client.authTimer);
+      this.send(ws, {
+        type: 'server_restarting',
+        retryAfter: restartRetryAfter,
+        recoverBy
+      });
+      ws.close(1012, 'Server restarting');
     }
 
     this.clients.clear();
+    this.unauthenticatedByIp.clear();
   }
 }
 
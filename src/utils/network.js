@@ -0,0 +1,86 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Network Guards
+ * Keeps user-supplied URLs (webhooks, rule and escalation targets) from
+ * reaching the server's own network: loopback, private, link-local (cloud
+ * metadata) and other non-public ranges are refused.
+ */
+
+const NON_PUBLIC = new net.BlockList();
+
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],   // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],  // Link-local, incl. cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],   // Benchmarking
+  ['224.0.0.0', 4],     // Multicast
+  ['240.0.0.0', 4]      // Reserved and broadcast
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],    // NAT64 - embeds an IPv4 address
+  ['fc00::', 7],        // Unique local
+  ['fe80::', 10],       // Link-local
+  ['ff00::', 8]         // Multicast
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is on the public internet
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a URL hostname can be public
+ * Names are only known after resolving, which publicLookup checks when connecting
+ */
+export function isPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIP(host)) {
+    return isPublicAddress(host);
+  }
+
+  return host !== 'localhost' && !host.endsWith('.localhost');
+}
+
+/**
+ * dns.lookup that refuses names resolving to a non-public address
+ * Used as the socket's lookup, so the address checked is the address dialed
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      const refused = new Error(`${hostname} does not resolve to a public address`);
+      refused.code = 'ENOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
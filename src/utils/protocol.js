@@ -0,0 +1,297 @@
+import { LOG_LEVELS, EVENT_CATEGORY_NAMES } from './subscriptions.js';
+
+/**
+ * WebSocket Protocol
+ * Version negotiation, capability flags and per-message schemas
+ */
+
+export const PROTOCOL_VERSION = 3;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Capability -> first protocol version that supports it
+const CAPABILITIES = {
+  resume: 2,
+  command_result: 2,
+  log_batch: 3,
+  event_replay: 3,
+  subscriptions: 3,
+  session_plan: 3,
+  snooze: 3
+};
+
+// Message type -> capability a client must have negotiated to send it
+const MESSAGE_CAPABILITIES = {
+  resume: 'resume',
+  command_result: 'command_result',
+  log_batch: 'log_batch',
+  plan: 'session_plan',
+  snooze: 'snooze',
+  unsnooze: 'snooze',
+  subscribe: 'subscriptions',
+  unsubscribe: 'subscriptions'
+};
+
+export const MAX_LOG_BATCH_SIZE = 50;
+
+// Expected session end - an absolute time or a duration from now (both ms)
+const PLAN_FIELDS = {
+  endsAt: { type: 'number', integer: true, min: 0 },
+  duration: { type: 'number', integer: true, min: 1 }
+};
+
+const GAME_INFO_FIELDS = {
+  name: { type: 'string', maxLength: 200 },
+  placeId: { type: ['number', 'string'], maxLength: 32 },
+  jobId: { type: 'string', maxLength: 100 },
+  executor: { type: 'string', maxLength: 100 },
+  timestamp: { type: 'number' }
+};
+
+const SUBSCRIPTION_FIELDS = {
+  sessionIds: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 64 } },
+  events: { type: 'array', maxItems: EVENT_CATEGORY_NAMES.length, items: { type: 'string', enum: EVENT_CATEGORY_NAMES } }
+};
+
+/**
+ * Schema per message type
+ * Rules: type, required, maxLength, pattern, enum, integer, min, max, maxBytes, fields (nested object),
+ * minItems/maxItems/items (arrays)
+ */
+export const MESSAGE_SCHEMAS = {
+  // === Authentication ===
+  // hubKey/userToken presence is checked by the handler (it has dedicated error codes)
+  connect: {
+    hubKey: { type: 'string', maxLength: 128 },
+    userToken: { type: 'string', maxLength: 64 },
+    gameInfo: { type: 'object', maxBytes: 2048, fields: GAME_INFO_FIELDS },
+    protocolVersion: { type: 'number', integer: true, min: 1 },
+    // Milliseconds; clamped to the server's bounds (the agreed values are echoed back)
+    heartbeatInterval: { type: 'number', integer: true, min: 1 },
+    heartbeatTimeout: { type: 'number', integer: true, min: 1 },
+    // Milliseconds without status progress before a "stalled" alert; 0 = off
+    stallTimeout: { type: 'number', integer: true, min: 0 },
+    plan: { type: 'object', fields: PLAN_FIELDS },
+    // Session group name (falls back to the place's group)
+    group: { type: 'string', maxLength: 50 }
+  },
+  resume: {
+    resumeToken: { type: 'string', required: true, maxLength: 128 },
+    protocolVersion: { type: 'number', integer: true, min: 1 }
+  },
+
+  // === Heartbeat ===
+  ping: {},
+  heartbeat: {},
+
+  // === From SDK (Roblox) ===
+  // Log text is truncated and unknown levels fall back to info (logService), never rejected
+  log: {
+    message: { type: 'string', required: true },
+    level: { type: 'string' }
+  },
+  log_batch: {
+    logs: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: MAX_LOG_BATCH_SIZE,
+      items: {
+        type: 'object',
+        fields: {
+          message: { type: 'string', required: true },
+          level: { type: 'string' },
+          timestamp: { type: 'number' }
+        }
+      }
+    }
+  },
+  status: {
+    status: { type: 'string', required: true, maxLength: 200 },
+    data: { type: ['object', 'array'], maxBytes: 4096 }
+  },
+  notify: {
+    title: { type: 'string', required: true, maxLength: 100 },
+    message: { type: 'string', required: true, maxLength: 500 }
+  },
+  alert: {
+    reason: { type: 'string', maxLength: 500 },
+    title: { type: 'string', maxLength: 100 }
+  },
+  command_result: {
+    commandId: { type: 'string', required: true, maxLength: 64 },
+    success: { type: 'boolean', required: true },
+    payload: { type: 'any', maxBytes: 16384 },
+    error: { type: 'string', maxLength: 500 }
+  },
+  plan: PLAN_FIELDS, // Neither field clears the plan
+  disconnect: {
+    reason: { type: 'string', maxLength: 200 }
+  },
+
+  // === From Mobile App ===
+  authenticate: {
+    token: { type: 'string', required: true, maxLength: 2048 },
+    deviceId: { type: 'string', maxLength: 128 },
+    protocolVersion: { type: 'number', integer: true, min: 1 },
+    lastEventId: { type: 'string', maxLength: 40, pattern: /^\d+-\d+$/ },
+    subscription: {
+      type: 'object',
+      fields: { ...SUBSCRIPTION_FIELDS, minLevel: { type: 'string', enum: LOG_LEVELS } }
+    }
+  },
+  register_device: {
+    userId: { type: 'string', maxLength: 64 },
+    userToken: { type: 'string', maxLength: 64 },
+    fcmToken: { type: 'string', maxLength: 4096 },
+    deviceName: { type: 'string', maxLength: 100 },
+    platform: { type: 'string', maxLength: 20 },
+    appVersion: { type: 'string', maxLength: 20 },
+    protocolVersion: { type: 'number', integer: true, min: 1 }
+  },
+  subscribe: {
+    ...SUBSCRIPTION_FIELDS,
+    minLevel: { type: 'string', enum: LOG_LEVELS }
+  },
+  unsubscribe: SUBSCRIPTION_FIELDS,
+  snooze: {
+    sessionId: { type: 'string', maxLength: 64 },
+    placeId: { type: ['number', 'string'], maxLength: 32 },
+    minutes: { type: 'number', integer: true, min: 1 },
+    until: { type: ['number', 'string'], maxLength: 40 },
+    reason: { type: 'string', maxLength: 200 }
+  },
+  unsnooze: {
+    snoozeId: { type: 'string', maxLength: 64 }
+  },
+  command: {
+    sessionId: { type: 'string', required: true, maxLength: 64 },
+    command: { type: 'string', required: true, maxLength: 64 },
+    data: { type: 'any', maxBytes: 4096 },
+    requestId: { type: 'string', maxLength: 64 }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkField(path, value, rule, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required) {
+      errors.push({ field: path, error: 'is required' });
+    }
+    return;
+  }
+
+  const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+  const actual = typeOf(value);
+
+  if (!allowed.includes('any') && !allowed.includes(actual)) {
+    errors.push({ field: path, error: `must be ${allowed.join(' or ')}, got ${actual}` });
+    return;
+  }
+
+  if (actual === 'string') {
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push({ field: path, error: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field: path, error: 'has an invalid format' });
+    }
+    if (rule.enum && !rule.enum.includes(value.toLowerCase())) {
+      errors.push({ field: path, error: `must be one of: ${rule.enum.join(', ')}` });
+    }
+  }
+
+  if (actual === 'number') {
+    if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+      errors.push({ field: path, error: rule.integer ? 'must be an integer' : 'must be a finite number' });
+    } else if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field: path, error: `must be at least ${rule.min}` });
+    } else if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field: path, error: `must be at most ${rule.max}` });
+    }
+  }
+
+  if (rule.maxBytes && Buffer.byteLength(JSON.stringify(value)) > rule.maxBytes) {
+    errors.push({ field: path, error: `must be at most ${rule.maxBytes} bytes` });
+  }
+
+  if (actual === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      errors.push({ field: path, error: `must have at least ${rule.minItems} items` });
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push({ field: path, error: `must have at most ${rule.maxItems} items` });
+      return;
+    }
+    if (rule.items) {
+      value.forEach((item, index) => checkField(`${path}[${index}]`, item, { ...rule.items, required: true }, errors));
+    }
+  }
+
+  if (rule.fields && actual === 'object') {
+    for (const [name, fieldRule] of Object.entries(rule.fields)) {
+      checkField(`${path}.${name}`, value[name], fieldRule, errors);
+    }
+  }
+}
+
+/**
+ * Validate a message against its type's schema
+ * @returns {Array<{field: string, error: string}>} empty when valid
+ */
+export function validateMessage(message) {
+  const schema = MESSAGE_SCHEMAS[message.type];
+  const errors = [];
+
+  if (!schema) {
+    return errors;
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    checkField(name, message[name], rule, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Pick the protocol version to speak with a client
+ * Clients that don't send a version are treated as v1 (pre-negotiation builds)
+ * @returns {number|null} null if the client is too old
+ */
+export function negotiateProtocol(requested) {
+  const version = requested ?? MIN_PROTOCOL_VERSION;
+
+  if (version < MIN_PROTOCOL_VERSION) {
+    return null;
+  }
+
+  return Math.min(version, PROTOCOL_VERSION);
+}
+
+/**
+ * Capability flags available at a protocol version
+ */
+export function getCapabilities(version) {
+  return Object.entries(CAPABILITIES)
+    .filter(([, minVersion]) => version >= minVersion)
+    .map(([name]) => name);
+}
+
+/**
+ * Whether a client speaking `version` understands a capability
+ */
+export function hasCapability(version, name) {
+  return (version ?? MIN_PROTOCOL_VERSION) >= (CAPABILITIES[name] ?? Infinity);
+}
+
+/**
+ * Whether a client speaking `version` may send a message type
+ */
+export function canSend(version, type) {
+  const capability = MESSAGE_CAPABILITIES[type];
+  return !capability || hasCapability(version, capability);
+}
@@ -0,0 +1,137 @@
+/**
+ * Mobile Subscriptions
+ * Per-client filters over the mobile event feed: by session, event category and log level
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Mobile event type -> category clients subscribe to
+const EVENT_CATEGORIES = {
+  log: 'logs',
+  log_batch: 'logs',
+  status_update: 'status',
+  notification: 'notifications',
+  critical_alert: 'alerts',
+  session_stalled: 'alerts',
+  session_overrun: 'alerts',
+  snoozes_updated: 'alerts',
+  command_result: 'commands',
+  session_started: 'sessions',
+  session_resumed: 'sessions',
+  session_ended: 'sessions',
+  session_plan_updated: 'sessions',
+  session_connection_lost: 'sessions'
+};
+
+export const EVENT_CATEGORY_NAMES = [...new Set(Object.values(EVENT_CATEGORIES))];
+
+/**
+ * One filter dimension: either an allow-list (`only`) or everything minus `except`
+ */
+function createDimension() {
+  return { only: null, except: new Set() };
+}
+
+function dimensionAllows(dimension, value) {
+  return dimension.only ? dimension.only.has(value) : !dimension.except.has(value);
+}
+
+function narrowDimension(dimension, values) {
+  for (const value of values) {
+    if (dimension.only) {
+      dimension.only.delete(value);
+    } else {
+      dimension.except.add(value);
+    }
+  }
+}
+
+/**
+ * A client without a subscription receives everything
+ */
+export function createSubscription() {
+  return {
+    sessions: createDimension(),
+    events: createDimension(),
+    minLevel: null
+  };
+}
+
+/**
+ * Apply a `subscribe` message - given dimensions are replaced, others kept
+ */
+export function subscribe(subscription, { sessionIds, events, minLevel }) {
+  if (sessionIds) {
+    subscription.sessions = { only: new Set(sessionIds), except: new Set() };
+  }
+  if (events) {
+    subscription.events = { only: new Set(events.map(e => e.toLowerCase())), except: new Set() };
+  }
+  if (minLevel) {
+    subscription.minLevel = minLevel.toLowerCase();
+  }
+  return subscription;
+}
+
+/**
+ * Apply an `unsubscribe` message - removes the given sessions/categories
+ * With neither field, clears every filter
+ */
+export function unsubscribe(subscription, { sessionIds, events }) {
+  if (!sessionIds && !events) {
+    return createSubscription();
+  }
+  if (sessionIds) {
+    narrowDimension(subscription.sessions, sessionIds);
+  }
+  if (events) {
+    narrowDimension(subscription.events, events.map(e => e.toLowerCase()));
+  }
+  return subscription;
+}
+
+function meetsLevel(level, minLevel) {
+  return LOG_LEVELS.indexOf((level || 'info').toLowerCase()) >= LOG_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Filter one event for a client
+ * @returns {object|null} the event (log batches trimmed to matching entries), or null to skip it
+ */
+export function applySubscription(subscription, event) {
+  if (!subscription) return event;
+
+  const category = EVENT_CATEGORIES[event.type];
+  if (category && !dimensionAllows(subscription.events, category)) {
+    return null;
+  }
+
+  // Session lifecycle events always pass so the app's session list stays accurate
+  if (event.sessionId && category !== 'sessions' && !dimensionAllows(subscription.sessions, event.sessionId)) {
+    return null;
+  }
+
+  if (subscription.minLevel && event.type === 'log') {
+    return meetsLevel(event.level, subscription.minLevel) ? event : null;
+  }
+
+  if (subscription.minLevel && event.type === 'log_batch') {
+    const logs = event.logs.filter(entry => meetsLevel(entry.level, subscription.minLevel));
+    return logs.length > 0 ? { ...event, logs } : null;
+  }
+
+  return event;
+}
+
+/**
+ * Plain JSON view of a subscription for the client
+ */
+export function describeSubscription(subscription) {
+  const describe = ({ only, except }) => (only ? { only: [...only] } : { except: [...except] });
+
+  return {
+    sessions: describe(subscription.sessions),
+    events: describe(subscription.events),
+    minLevel: subscription.minLevel
+  };
+}